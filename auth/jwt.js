@@ -1,14 +1,17 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import {env} from '../init/env.js';
+import authSessionStore from '../redis/authSession.js';
 
 const generateTokens = (payload, rememberMe = false) => {
     try {
         if (!payload || !payload.userId) throw new Error('Payload with userId required for token generation');
+        if (!payload.sessionId || !payload.jti) throw new Error('Payload with sessionId and jti required for token generation');
 
         const jwtExpiry = rememberMe ? env.jwt.accessTokenLongExpire : env.jwt.accessTokenExpire;
 
         const jwtToken = jwt.sign(
-            { userId: payload.userId, type: 'access' },
+            { userId: payload.userId, sid: payload.sessionId, type: 'access' },
             env.jwt.secret,
             {
                 expiresIn: jwtExpiry,
@@ -17,7 +20,7 @@ const generateTokens = (payload, rememberMe = false) => {
         );
 
         const refreshToken = jwt.sign(
-            { userId: payload.userId, type: 'refresh' },
+            { userId: payload.userId, sid: payload.sessionId, jti: payload.jti, type: 'refresh' },
             env.jwt.secret,
             {
                 expiresIn: env.jwt.refreshTokenExpire,
@@ -77,7 +80,31 @@ const verifyToken = async (token) => {
 };
 
 
-const renewJWT = async (refreshToken, rememberMe = false) => {
+// Seconds until the token's `exp`, used as the session TTL in Redis
+const getRemainingSeconds = (token) => {
+    const decoded = jwt.decode(token);
+    return Math.max(1, decoded.exp - Math.floor(Date.now() / 1000));
+};
+
+// Starts a new server-side session (one refresh token family) and returns its first token pair
+const issueTokens = async (userId, { rememberMe = false, deviceInfo = null } = {}) => {
+    const sessionId = crypto.randomUUID();
+    const jti = crypto.randomUUID();
+
+    const tokens = generateTokens({ userId, sessionId, jti }, rememberMe);
+    await authSessionStore.createSession(
+        sessionId,
+        { userId: String(userId), jti, rememberMe, deviceInfo },
+        getRemainingSeconds(tokens.refreshToken)
+    );
+
+    return tokens;
+};
+
+// Rotates the refresh token of a session. Presenting an already-rotated token
+// (outside the short grace window) revokes the whole session; inside it the caller
+// gets tokens for the session's current refresh token.
+const renewJWT = async (refreshToken) => {
     try {
         if (!refreshToken) throw new Error('Refresh token is required');
 
@@ -87,19 +114,100 @@ const renewJWT = async (refreshToken, rememberMe = false) => {
         const verification = await verifyToken(refreshToken);
         if (!verification.valid) throw new Error(verification.error || 'Invalid or expired refresh token');
 
-        if (verification.decoded.type !== 'refresh') throw new Error('Invalid token type - refresh token required');
-        
-        const payload = { userId: verification.decoded.userId };
-        return generateTokens(payload, rememberMe);
+        const { userId, sid, jti, type } = verification.decoded;
+        if (type !== 'refresh') throw new Error('Invalid token type - refresh token required');
+        if (!sid || !jti) throw new Error('Refresh token is not bound to a session');
+
+        const session = await authSessionStore.getSession(sid);
+        if (!session || session.userId !== userId) throw new Error('Session has been revoked');
+
+        const newJti = crypto.randomUUID();
+        const tokens = generateTokens({ userId, sessionId: sid, jti: newJti }, session.rememberMe);
+
+        const status = await authSessionStore.rotateSession(sid, jti, newJti, getRemainingSeconds(tokens.refreshToken));
+        if (status === 'reuse') {
+            await authSessionStore.deleteSession(sid, userId);
+            throw new Error('Refresh token reuse detected - session revoked');
+        }
+        if (status === 'stale') {
+            // A concurrent refresh (another tab, parallel requests) rotated this token moments
+            // ago; hand out a pair for the token it rotated to instead of failing the caller
+            const current = await authSessionStore.getSession(sid);
+            if (!current || current.userId !== userId || !current.currentJti) throw new Error('Session has been revoked');
+            return generateTokens({ userId, sessionId: sid, jti: current.currentJti }, session.rememberMe);
+        }
+        if (status !== 'rotated') throw new Error('Session has been revoked');
+
+        return tokens;
     }
      catch (error) {
         throw new Error(`Failed to renew JWT token: ${error.message}`);
     }
 };
 
+const generateTestSessionToken = (payload, expiresInSeconds) => {
+    try {
+        if (!payload || !payload.sessionId || !payload.userId) throw new Error('Payload with sessionId and userId required');
+
+        return jwt.sign(
+            { sessionId: payload.sessionId, userId: payload.userId, paragraphId: payload.paragraphId, type: 'test-session' },
+            env.jwt.secret,
+            {
+                expiresIn: expiresInSeconds,
+                issuer: env.jwt.issuer
+            }
+        );
+    }
+    catch (error) {
+        throw new Error('Failed to generate test session token');
+    }
+};
+
+// Proves the password step of a 2FA login; only usable with the second-step endpoint
+const generateTwoFactorChallengeToken = (payload, expiresInSeconds) => {
+    try {
+        if (!payload || !payload.challengeId || !payload.userId) throw new Error('Payload with challengeId and userId required');
+
+        return jwt.sign(
+            { challengeId: payload.challengeId, userId: payload.userId, type: 'two-factor-challenge' },
+            env.jwt.secret,
+            {
+                expiresIn: expiresInSeconds,
+                issuer: env.jwt.issuer
+            }
+        );
+    }
+    catch (error) {
+        throw new Error('Failed to generate two-factor challenge token');
+    }
+};
+
+// Long-lived and not tied to a session, so mail links keep working after logout
+const generateUnsubscribeToken = (payload, expiresIn = env.notifications.unsubscribeTokenExpire) => {
+    try {
+        if (!payload || !payload.userId || !payload.category) throw new Error('Payload with userId and category required');
+
+        return jwt.sign(
+            { userId: payload.userId, category: payload.category, type: 'unsubscribe' },
+            env.jwt.secret,
+            {
+                expiresIn,
+                issuer: env.jwt.issuer
+            }
+        );
+    }
+    catch (error) {
+        throw new Error('Failed to generate unsubscribe token');
+    }
+};
+
 const jwtHelper = {
     generateTokens,
     verifyToken,
-    renewJWT
+    issueTokens,
+    renewJWT,
+    generateTestSessionToken,
+    generateTwoFactorChallengeToken,
+    generateUnsubscribeToken
 };
 export default jwtHelper;
\ No newline at end of file
@@ -2,7 +2,9 @@ import AppError from "../error/AppError.js";
 import analyticsService from "../services/analytics.service.js";
 import errorHandler from "../error/errorHandler.js";
 import { validateUsername } from "../utils/authValidation.js";
+import { validateHistoryQuery } from "../utils/analyticsValidation.js";
 import { setUsername } from "../redis/user.js";
+import leaderboard from "../helper/leaderboardHelper.js";
 const getUserAnalytics = async(req, res, next) => {
     try {
         const userId = req.userId;
@@ -22,7 +24,8 @@ const getUserAnalytics = async(req, res, next) => {
             lastTestTaken: analytics.lastTestTaken,
             totalPar: analytics.totalPar,
             maxStreak: analytics.maxStreak,
-            progress: analytics.progress
+            progress: analytics.progress,
+            personalBests: analytics.personalBests
         };
         
         res.status(200).json({
@@ -38,38 +41,6 @@ const getUserAnalytics = async(req, res, next) => {
     }
 }
 
-const updateAnalytics = async(req, res, next) => {
-    try {
-        const userId  = req.userId;
-        const { wpm, accuracy, testTimings, maxStreak, lastTestTaken } = req.body;
-        
-        if (!wpm || !accuracy || testTimings === undefined || !maxStreak || !lastTestTaken) {
-            return next(new AppError("Missing required fields: wpm, accuracy, testTimings, maxStreak, lastTestTaken", 400));
-        }
-
-        const analytics = await analyticsService.updateAnalytics(userId, {
-            wpm,
-            accuracy,
-            testTimings,
-            maxStreak,
-            lastTestTaken
-        });
-        
-        if (!analytics) {
-            return next(new AppError("Analytics not found", 404));
-        }
-        
-        res.status(200).json({
-            success: true,
-            message: "Analytics updated successfully",
-            data: analytics
-        });
-    }
-    catch(err){
-        next(errorHandler(err));
-    }
-}
-
 const resetAnalytics = async (req, res, next) => {
   try {
     const userId  = req.userId;
@@ -79,6 +50,8 @@ const resetAnalytics = async (req, res, next) => {
       return next(new AppError("Analytics not found", 404));
     }
 
+    await leaderboard.removeUser(userId);
+
     res.status(200).json({
       success: true,
       message: "Analytics reset successfully",
@@ -114,11 +87,37 @@ const getAccountAnalytics = async (req, res, next) => {
         next(errorHandler(err));
     }
 }
+const getTestHistory = async (req, res, next) => {
+    try {
+        const userId = req.userId;
+
+        const validation = validateHistoryQuery(req.query);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const { page, limit, ...filters } = validation.data;
+        const history = await analyticsService.getTestHistory(userId, filters, { page, limit });
+
+        if (!history) {
+            return next(new AppError("User not found", 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: history
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+}
+
 const analyticsController = {
     getUserAnalytics,
-    updateAnalytics,
     resetAnalytics,
-    getAccountAnalytics
+    getAccountAnalytics,
+    getTestHistory
 };
 
 export default analyticsController;
\ No newline at end of file
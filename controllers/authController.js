@@ -1,3 +1,4 @@
+import crypto from "crypto";
 import AppError from "../error/AppError.js";
 import errorHandler from "../error/errorHandler.js";
 import passwordHash from "../utils/passwordHash.js";
@@ -5,10 +6,21 @@ import jwtHelper from '../auth/jwt.js';
 import authService from "../services/auth.service.js";
 import analyticsService from "../services/analytics.service.js";
 import { setUsername } from "../redis/user.js";
-import { validateLoginInput, validateRegisterInput } from "../utils/authValidation.js";
+import { validateLoginInput, validateRegisterInput, validateRefreshTokenInput, validateEmail, validateVerifyEmailInput, validateTwoFactorLoginInput, validateUnlockAccountInput } from "../utils/authValidation.js";
 import { sendMail } from "../queue/mailQueue.js";
 import formatDateTime from "../utils/formatDateTIme.js";
 import getDeviceInfo from "../utils/deviceInfo.js";
+import { generateOtp } from "../utils/otpUtil.js";
+import { emailVerificationStore, checkOtpIssuance } from "../redis/otp.js";
+import loginAttemptStore from "../redis/loginAttempts.js";
+import leaderboard from "../helper/leaderboardHelper.js";
+import twoFactorService from "../services/twoFactor.service.js";
+import twoFactorChallengeStore from "../redis/twoFactorChallenge.js";
+import deviceService from "../services/device.service.js";
+import userService from "../services/user.service.js";
+import securityEventService from "../services/securityEvent.service.js";
+import { env } from "../init/env.js";
+import usernameBlocklist from "../helper/usernameBlocklist.js";
 
 
 
@@ -20,7 +32,8 @@ const buildUserPayload = (user, analytics) => {
         lastTestTaken: analytics.lastTestTaken,
         totalPar: analytics.totalPar,
         maxStreak: analytics.maxStreak,
-        progress: analytics.progress
+        progress: analytics.progress,
+        personalBests: analytics.personalBests
     } : {};
 
     return {
@@ -28,12 +41,118 @@ const buildUserPayload = (user, analytics) => {
         lastName: user.lastName,
         username: user.username,
         email: user.email,
+        isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+        profile: user.profile,
+        privacy: user.privacy,
         lastLogin: user.lastLogin,
         dateOfJoining: user.dateOfJoining,
         ...analyticsData
     };
 };
 
+const getDisplayName = (user) => user.firstName ? `${user.firstName} ${user.lastName || ''}`.trim() : user.username;
+
+// Stores a fresh verification code and mails it both as a code and as a link to the client.
+// Resolves false when the first delivery attempt failed.
+const sendVerificationMail = async (user, deviceInfo) => {
+    const code = generateOtp();
+    await emailVerificationStore.setOtp(user.email, code);
+
+    const verifyUrl = `${env.clientUrl}/verify-email?email=${encodeURIComponent(user.email)}&code=${code}`;
+    const dateTimeData = {
+        ...formatDateTime(Date.now()),
+        name: getDisplayName(user),
+        otp: code,
+        verifyUrl,
+        deviceInfo
+    };
+    const sent = await sendMail(user.email, "verify-email", dateTimeData, 9, { expiresInSeconds: emailVerificationStore.OTP_TTL_SECONDS });
+    if (!sent) return false;
+    await securityEventService.recordSecurityEvent(user._id, "otp_sent", deviceInfo, { purpose: "email-verification" });
+    return true;
+};
+
+const lockedError = (seconds) => new AppError(`Account temporarily locked after repeated failed sign-ins. Try again in ${seconds} seconds.`, 429);
+
+// Counts a failed password or 2FA code against the account; the mail goes out
+// once, when the first lock starts, with a link that lifts it
+const recordLoginFailure = async (req, user, reason) => {
+    const deviceInfo = getDeviceInfo(req);
+    const { failures, lockSeconds } = await loginAttemptStore.recordFailure(user._id);
+    await securityEventService.recordSecurityEvent(user._id, "login_failure", deviceInfo, { reason, failures });
+    if (failures !== env.loginProtection.maxFailures) return;
+
+    await securityEventService.recordSecurityEvent(user._id, "account_locked", deviceInfo, { failures, lockedForSeconds: lockSeconds });
+
+    const unlockToken = await loginAttemptStore.createUnlockToken(user._id);
+    const dateTimeData = {
+        ...formatDateTime(Date.now()),
+        name: getDisplayName(user),
+        deviceInfo,
+        failedAttempts: failures,
+        lockedForSeconds: lockSeconds,
+        unlockUrl: `${env.clientUrl}/unlock-account?token=${unlockToken}`
+    };
+    await sendMail(user.email, "suspicious-activity", dateTimeData, 9, { expiresInSeconds: env.loginProtection.unlockTokenTtlSeconds });
+};
+
+// Final step of every successful sign-in, with or without a second factor.
+// An account pending deletion is only signed in when the caller asks to restore it.
+const completeLogin = async (req, res, user, { rememberMe = false, restoreAccount = false } = {}) => {
+    await loginAttemptStore.clearFailures(user._id);
+
+    if (user.deletionScheduledFor) {
+        if (!restoreAccount) {
+            return res.status(200).json({
+                success: true,
+                data: {
+                    restoreRequired: true,
+                    deletionScheduledFor: user.deletionScheduledFor
+                }
+            });
+        }
+
+        await userService.cancelAccountDeletion(user._id);
+        await leaderboard.addUser(user._id);
+
+        const deviceInfo = getDeviceInfo(req);
+        await securityEventService.recordSecurityEvent(user._id, "account_restored", deviceInfo);
+        await sendMail(user.email, "account-restored", { ...formatDateTime(Date.now()), name: getDisplayName(user), deviceInfo }, 7);
+    }
+    const updatedUser = await authService.updateLastLogin(user._id);
+    await setUsername(user.username);
+
+    const displayName = getDisplayName(user);
+    const deviceInfo = getDeviceInfo(req);
+    const dateTimeData = { ...formatDateTime(Date.now()), name: displayName, deviceInfo };
+
+    const { isNewDevice, isNewCountry } = await deviceService.recordDevice(user._id, deviceInfo);
+    await securityEventService.recordSecurityEvent(user._id, "login_success", deviceInfo, {
+        twoFactor: Boolean(user.twoFactor?.enabled),
+        newDevice: isNewDevice,
+        newCountry: isNewCountry
+    });
+    if (isNewDevice || isNewCountry) {
+        await sendMail(user.email, "new-device-login", { ...dateTimeData, isNewDevice, isNewCountry }, 8);
+    } else {
+        await sendMail(user.email, "login", dateTimeData, 6);
+    }
+
+    const analytics = await analyticsService.getAnalytics(user._id);
+    const userPayload = buildUserPayload(updatedUser || user, analytics);
+
+    const tokens = await jwtHelper.issueTokens(user._id, { rememberMe, deviceInfo });
+
+    res.status(200).json({
+        success: true,
+        data: {
+            user: userPayload,
+            tokens
+        }
+    });
+};
+
 const loginUser = async(req, res, next) => {
     try{
         const validation = validateLoginInput(req.body);
@@ -41,40 +160,99 @@ const loginUser = async(req, res, next) => {
             return next(new AppError(validation.message, 400));
         }
 
-        const { identifier, password, rememberMe = false } = validation.data;
+        const { identifier, password, rememberMe = false, restoreAccount = false } = validation.data;
 
         const user = await authService.findUserByEmailOrUsername(identifier);
         if (!user) {
             return next(new AppError("Invalid credentials", 401));
         }
 
+        const lockSeconds = await loginAttemptStore.getLockSeconds(user._id);
+        if (lockSeconds > 0) {
+            return next(lockedError(lockSeconds));
+        }
+
         const isMatch = await passwordHash.decryptPassword(password, user.password);
         if (!isMatch) {
+            await recordLoginFailure(req, user, "password");
             return next(new AppError("Invalid credentials", 401));
         }
 
-        const updatedUser = await authService.updateLastLogin(user._id);
-        await setUsername(user.username);
+        // With 2FA on, the password only earns a short-lived challenge for the second step
+        if (user.twoFactor?.enabled) {
+            const challengeId = crypto.randomUUID();
+            await twoFactorChallengeStore.setChallenge(challengeId, { userId: String(user._id), rememberMe, restoreAccount });
+
+            const challengeToken = jwtHelper.generateTwoFactorChallengeToken(
+                { challengeId, userId: String(user._id) },
+                env.twoFactor.challengeTtlSeconds
+            );
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    twoFactorRequired: true,
+                    challengeToken,
+                    expiresIn: env.twoFactor.challengeTtlSeconds
+                }
+            });
+        }
 
-        const displayName = user.firstName ? `${user.firstName} ${user.lastName || ''}`.trim() : user.username;
-        const deviceInfo = getDeviceInfo(req);
-        const dateTimeData = { ...formatDateTime(Date.now()), name: displayName, deviceInfo };
-        await sendMail(user.email, "login", dateTimeData, 6);
+        await completeLogin(req, res, user, { rememberMe, restoreAccount });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
 
+const verifyTwoFactorLogin = async(req, res, next) => {
+    try{
+        const validation = validateTwoFactorLoginInput(req.body);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
 
+        const { challengeToken, code } = validation.data;
 
-        const analytics = await analyticsService.getAnalytics(user._id);
-        const userPayload = buildUserPayload(updatedUser || user, analytics);
+        const verification = await jwtHelper.verifyToken(challengeToken);
+        if (!verification.valid || verification.decoded.type !== 'two-factor-challenge') {
+            return next(new AppError("Invalid or expired login challenge", 401));
+        }
 
-        const tokens = jwtHelper.generateTokens({ userId: user._id }, rememberMe);
+        const { challengeId, userId } = verification.decoded;
+        const challenge = await twoFactorChallengeStore.getChallenge(challengeId);
+        if (!challenge || challenge.userId !== userId) {
+            return next(new AppError("Invalid or expired login challenge", 401));
+        }
 
-        res.status(200).json({
-            success: true,
-            data: {
-                user: userPayload,
-                tokens
-            }
-        });
+        if (challenge.attempts >= twoFactorChallengeStore.MAX_ATTEMPTS) {
+            await twoFactorChallengeStore.consumeChallenge(challengeId);
+            return next(new AppError("Maximum attempts exceeded. Please sign in again.", 429));
+        }
+
+        const user = await twoFactorService.findUserWithTwoFactor(userId);
+        if (!user) {
+            return next(new AppError("Invalid or expired login challenge", 401));
+        }
+
+        const lockSeconds = await loginAttemptStore.getLockSeconds(user._id);
+        if (lockSeconds > 0) {
+            return next(lockedError(lockSeconds));
+        }
+
+        const result = await twoFactorService.verifyCode(user, code);
+        if (!result.valid) {
+            await twoFactorChallengeStore.incrementChallengeAttempts(challengeId);
+            await recordLoginFailure(req, user, "two-factor");
+            return next(new AppError("Invalid authentication code", 401));
+        }
+
+        // A parallel request may have completed this challenge already
+        if (!(await twoFactorChallengeStore.consumeChallenge(challengeId))) {
+            return next(new AppError("Invalid or expired login challenge", 401));
+        }
+
+        await completeLogin(req, res, user, { rememberMe: challenge.rememberMe, restoreAccount: challenge.restoreAccount });
     }
     catch(err){
         next(errorHandler(err));
@@ -102,8 +280,14 @@ const registerUser = async(req, res, next) => {
             return next(new AppError("Passwords do not match", 400));
         }
 
+        const { blocked } = await usernameBlocklist.checkUsername(username);
+        if (blocked) {
+            return next(new AppError("Username is not allowed", 400));
+        }
+
         const existingUser = await authService.findUserByEmailOrUsername(email);
-        const existingUsername = await authService.findUserByEmailOrUsername(username);
+        const existingUsername = await authService.findUserByEmailOrUsername(username)
+            || await userService.isUsernameHeld(username);
 
         if (existingUser || existingUsername) {
             return next(new AppError("Email or username already exists", 409));
@@ -134,10 +318,11 @@ const registerUser = async(req, res, next) => {
 
         await setUsername(username);
 
-        const displayName = firstName ? `${firstName} ${lastName || ''}`.trim() : username;
+        // The welcome mail is sent once the address is verified
         const deviceInfo = getDeviceInfo(req);
-        const dateTimeData = { ...formatDateTime(Date.now()), name: displayName, deviceInfo };
-        await sendMail(email, "signup", dateTimeData, 8);
+        await deviceService.recordDevice(user._id, deviceInfo);
+        // The account exists either way; a failed mail can be sent again through resend-verification
+        await sendVerificationMail(user, deviceInfo);
 
 
 
@@ -145,7 +330,7 @@ const registerUser = async(req, res, next) => {
         const analytics = await analyticsService.getAnalytics(user._id);
         const userPayloadResponse = buildUserPayload(user, analytics);
 
-        const tokens = jwtHelper.generateTokens({ userId: user._id }, rememberMe);
+        const tokens = await jwtHelper.issueTokens(user._id, { rememberMe, deviceInfo });
 
         res.status(201).json({
             success: true,
@@ -160,9 +345,158 @@ const registerUser = async(req, res, next) => {
     }
 };
 
+const refreshToken = async(req, res, next) => {
+    try{
+        const validation = validateRefreshTokenInput(req.body);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        let tokens;
+        try {
+            tokens = await jwtHelper.renewJWT(validation.data.refreshToken);
+        }
+        catch (error) {
+            return next(new AppError("Session expired. Please sign in again.", 401));
+        }
+
+        const { decoded } = await jwtHelper.verifyToken(tokens.accessToken);
+        await securityEventService.recordSecurityEvent(decoded.userId, "token_refresh", getDeviceInfo(req), { sessionId: decoded.sid });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                tokens
+            }
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const verifyEmail = async(req, res, next) => {
+    try{
+        const validation = validateVerifyEmailInput(req.body);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const { email, code } = validation.data;
+
+        const user = await authService.findUserByEmailOrUsername(email);
+        if (!user) {
+            return next(new AppError("Email not found", 404));
+        }
+
+        if (user.isEmailVerified) {
+            return next(new AppError("Email is already verified", 409));
+        }
+
+        const stored = await emailVerificationStore.getOtp(email);
+        if (!stored) {
+            return next(new AppError("Verification code expired or invalid", 400));
+        }
+
+        if (stored.attempts >= emailVerificationStore.MAX_ATTEMPTS) {
+            await emailVerificationStore.deleteOtp(email);
+            return next(new AppError("Maximum verification attempts exceeded", 429));
+        }
+
+        if (stored.otp !== code) {
+            await emailVerificationStore.incrementOtpAttempts(email);
+            return next(new AppError("Invalid verification code", 400));
+        }
+
+        await authService.markEmailVerified(user._id);
+        await emailVerificationStore.deleteOtp(email);
+
+        // Tests taken before verification count once the account is verified
+        await leaderboard.addUser(user._id);
+
+        const deviceInfo = getDeviceInfo(req);
+        const dateTimeData = { ...formatDateTime(Date.now()), name: getDisplayName(user), deviceInfo };
+        await sendMail(email, "signup", dateTimeData, 8);
+
+        res.status(200).json({
+            success: true,
+            message: "Email verified successfully"
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const resendVerification = async(req, res, next) => {
+    try{
+        const validation = validateEmail(req.body?.email);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const email = validation.data;
+
+        const user = await authService.findUserByEmailOrUsername(email);
+        if (!user) {
+            return next(new AppError("Email not found", 404));
+        }
+
+        if (user.isEmailVerified) {
+            return next(new AppError("Email is already verified", 409));
+        }
+
+        const { allowed, ttl } = await checkOtpIssuance(email);
+        if (!allowed) {
+            return next(new AppError(`Too many codes sent to this email. Try again in ${ttl} seconds.`, 429));
+        }
+
+        if (!(await sendVerificationMail(user, getDeviceInfo(req)))) {
+            return next(new AppError("Could not send the verification email, please try again", 503));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: "Verification email sent"
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const unlockAccount = async(req, res, next) => {
+    try{
+        const validation = validateUnlockAccountInput(req.body);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const userId = await loginAttemptStore.consumeUnlockToken(validation.data.token);
+        if (!userId) {
+            return next(new AppError("Unlock link expired or invalid", 400));
+        }
+
+        await loginAttemptStore.clearFailures(userId);
+
+        res.status(200).json({
+            success: true,
+            message: "Account unlocked. You can sign in again."
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
 const authController = {
     loginUser,
-    registerUser
+    verifyTwoFactorLogin,
+    registerUser,
+    refreshToken,
+    verifyEmail,
+    resendVerification,
+    unlockAccount
 };
 
 export default authController;
\ No newline at end of file
@@ -0,0 +1,42 @@
+import AppError from "../error/AppError.js";
+import errorHandler from "../error/errorHandler.js";
+import deviceService from "../services/device.service.js";
+import getDeviceInfo from "../utils/deviceInfo.js";
+
+const getDevices = async (req, res, next) => {
+    try {
+        const devices = await deviceService.listDevices(req.userId, getDeviceInfo(req));
+
+        res.status(200).json({
+            success: true,
+            data: { devices }
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const forgetDevice = async (req, res, next) => {
+    try {
+        const removed = await deviceService.forgetDevice(req.userId, req.params.deviceId);
+        if (!removed) {
+            return next(new AppError("Device not found", 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: "Device forgotten"
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const deviceController = {
+    getDevices,
+    forgetDevice
+};
+
+export default deviceController;
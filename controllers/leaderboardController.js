@@ -0,0 +1,72 @@
+import AppError from "../error/AppError.js";
+import errorHandler from "../error/errorHandler.js";
+import leaderboard from "../helper/leaderboardHelper.js";
+import { validateLeaderboardQuery, validateRankQuery } from "../utils/leaderboardValidation.js";
+
+const getLeaderboard = async (req, res, next) => {
+    try {
+        const validation = validateLeaderboardQuery(req.query);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const data = await leaderboard.getLeaderboardPage(validation.data);
+
+        res.status(200).json({
+            success: true,
+            data
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+// GET /leaderboard keeps its original response: the all-time top 10 as a bare list
+const getLegacyLeaderboard = async (req, res, next) => {
+    try {
+        const { entries } = await leaderboard.getLeaderboardPage({ period: "alltime", mode: "all", page: 1, limit: 10 });
+
+        res.status(200).json({
+            status: 'ok',
+            data: entries.map((entry) => ({
+                rank: entry.rank,
+                userId: entry.userId,
+                username: entry.username,
+                wpm: entry.wpm,
+                accuracy: entry.accuracy,
+                weightedScore: entry.score
+            }))
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const getMyRank = async (req, res, next) => {
+    try {
+        const validation = validateRankQuery(req.query);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const data = await leaderboard.getUserRank(req.userId, validation.data);
+
+        res.status(200).json({
+            success: true,
+            data
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const leaderboardController = {
+    getLeaderboard,
+    getLegacyLeaderboard,
+    getMyRank
+};
+
+export default leaderboardController;
@@ -0,0 +1,73 @@
+import AppError from "../error/AppError.js";
+import errorHandler from "../error/errorHandler.js";
+import mailOutboxService from "../services/mailOutbox.service.js";
+import { validateMailEventQuery } from "../utils/mailEventValidation.js";
+
+const listMailEvents = async (req, res, next) => {
+    try {
+        const validation = validateMailEventQuery(req.query);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const { page, limit, ...filters } = validation.data;
+        const result = await mailOutboxService.listMailEvents(filters, { page, limit });
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const getMailEvent = async (req, res, next) => {
+    try {
+        const event = await mailOutboxService.getMailEvent(req.params.eventId);
+        if (!event) {
+            return next(new AppError("Mail event not found", 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: event
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const replayMailEvent = async (req, res, next) => {
+    try {
+        const event = await mailOutboxService.replayMailEvent(req.params.eventId);
+        if (event === null) {
+            return next(new AppError("Mail event not found", 404));
+        }
+        if (event === false) {
+            return next(new AppError("Only failed or dead mail events can be replayed", 409));
+        }
+        if (event === "not-replayable") {
+            return next(new AppError("Mail with a one-time code or link can't be replayed; it has to be requested again", 409));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: event.status === "sent" ? "Mail event delivered" : "Mail event replay failed, it will be retried",
+            data: event
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const mailEventController = {
+    listMailEvents,
+    getMailEvent,
+    replayMailEvent
+};
+
+export default mailEventController;
@@ -0,0 +1,83 @@
+import AppError from "../error/AppError.js";
+import errorHandler from "../error/errorHandler.js";
+import notificationPreferenceService from "../services/notificationPreference.service.js";
+import { MANDATORY_MAIL_TYPES } from "../schemas/notificationPreference.schema.js";
+import { validateNotificationPreferences, validateUnsubscribeInput } from "../utils/notificationValidation.js";
+
+const getPreferences = async (req, res, next) => {
+    try {
+        const preferences = await notificationPreferenceService.getPreferences(req.userId);
+        if (!preferences) {
+            return next(new AppError("User not found", 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                preferences,
+                mandatory: MANDATORY_MAIL_TYPES
+            }
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const updatePreferences = async (req, res, next) => {
+    try {
+        const validation = validateNotificationPreferences(req.body);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const preferences = await notificationPreferenceService.updatePreferences(req.userId, validation.data);
+        if (!preferences) {
+            return next(new AppError("User not found", 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: "Notification preferences updated",
+            data: {
+                preferences,
+                mandatory: MANDATORY_MAIL_TYPES
+            }
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+// One-click unsubscribe (RFC 8058): mail clients POST to the link with the token in the query
+const unsubscribe = async (req, res, next) => {
+    try {
+        const validation = validateUnsubscribeInput({ token: req.query.token ?? req.body?.token });
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const result = await notificationPreferenceService.unsubscribe(validation.data.token);
+        if (!result) {
+            return next(new AppError("Invalid or expired unsubscribe link", 400));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: "Unsubscribed successfully",
+            data: result
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const notificationController = {
+    getPreferences,
+    updatePreferences,
+    unsubscribe
+};
+
+export default notificationController;
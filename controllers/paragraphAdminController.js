@@ -0,0 +1,141 @@
+import AppError from "../error/AppError.js";
+import errorHandler from "../error/errorHandler.js";
+import paragraphService from "../services/paragraph.service.js";
+import { loadParagraphsToQueue } from "../helper/paragraphLoader.js";
+import {
+    validateParagraphId,
+    validateAdminParagraphListQuery,
+    validateParagraphCreateInput,
+    validateParagraphUpdateInput
+} from "../utils/paragraphValidation.js";
+
+const listParagraphs = async (req, res, next) => {
+    try {
+        const validation = validateAdminParagraphListQuery(req.query);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const { page, limit, ...filters } = validation.data;
+        const result = await paragraphService.listParagraphs(filters, { page, limit });
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const getParagraph = async (req, res, next) => {
+    try {
+        const validation = validateParagraphId(req.params.paragraphId);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const paragraph = await paragraphService.getParagraph(validation.data);
+        if (!paragraph) {
+            return next(new AppError("Paragraph not found", 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: paragraph
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const createParagraph = async (req, res, next) => {
+    try {
+        const validation = validateParagraphCreateInput(req.body);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const paragraph = await paragraphService.createParagraph(validation.data);
+        // Publishes the new catalog version; a failed publish is retried on the next change or restart
+        await loadParagraphsToQueue();
+
+        res.status(201).json({
+            success: true,
+            message: "Paragraph created",
+            data: paragraph
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const updateParagraph = async (req, res, next) => {
+    try {
+        const idValidation = validateParagraphId(req.params.paragraphId);
+        if (!idValidation.success) {
+            return next(new AppError(idValidation.message, 400));
+        }
+
+        const validation = validateParagraphUpdateInput(req.body);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const paragraph = await paragraphService.updateParagraph(idValidation.data, validation.data);
+        if (paragraph === null) {
+            return next(new AppError("Paragraph not found", 404));
+        }
+        if (paragraph === false) {
+            return next(new AppError("Paragraphs need a difficulty and a length", 400));
+        }
+
+        await loadParagraphsToQueue();
+
+        res.status(200).json({
+            success: true,
+            message: "Paragraph updated",
+            data: paragraph
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const deleteParagraph = async (req, res, next) => {
+    try {
+        const validation = validateParagraphId(req.params.paragraphId);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const deleted = await paragraphService.deleteParagraph(validation.data);
+        if (!deleted) {
+            return next(new AppError("Paragraph not found", 404));
+        }
+
+        await loadParagraphsToQueue();
+
+        res.status(200).json({
+            success: true,
+            message: "Paragraph deleted"
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const paragraphAdminController = {
+    listParagraphs,
+    getParagraph,
+    createParagraph,
+    updateParagraph,
+    deleteParagraph
+};
+
+export default paragraphAdminController;
@@ -0,0 +1,83 @@
+import AppError from "../error/AppError.js";
+import errorHandler from "../error/errorHandler.js";
+import paragraphCatalog from "../helper/paragraphCatalog.js";
+import {
+    validateParagraphFilters,
+    validateParagraphListQuery,
+    validateParagraphId
+} from "../utils/paragraphValidation.js";
+
+const getRandomParagraph = async (req, res, next) => {
+    try {
+        const validation = validateParagraphFilters(req.query);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const paragraph = await paragraphCatalog.getRandomParagraph(validation.data);
+        if (!paragraph) {
+            return next(new AppError("No paragraph matches the given filters", 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: paragraph
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const getParagraphById = async (req, res, next) => {
+    try {
+        const validation = validateParagraphId(req.params.id);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const paragraph = await paragraphCatalog.getParagraphById(validation.data);
+        if (!paragraph) {
+            return next(new AppError("Paragraph not found", 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: paragraph
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const listParagraphs = async (req, res, next) => {
+    try {
+        const validation = validateParagraphListQuery(req.query);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const { page, limit, ...filters } = validation.data;
+        const { paragraphs, pagination } = await paragraphCatalog.listParagraphs(filters, { page, limit });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                paragraphs,
+                pagination
+            }
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const paragraphController = {
+    getRandomParagraph,
+    getParagraphById,
+    listParagraphs
+};
+
+export default paragraphController;
@@ -1,13 +1,17 @@
 import AppError from "../error/AppError.js";
 import errorHandler from "../error/errorHandler.js";
 import passwordService from "../services/password.service.js";
-import { validateEmail, validateResetPasswordInput } from "../utils/authValidation.js";
+import { validateEmail, validateResetPasswordInput, validateChangePasswordInput } from "../utils/authValidation.js";
 import { generateOtp } from "../utils/otpUtil.js";
-import otpStore from "../redis/otp.js";
+import otpStore, { checkOtpIssuance } from "../redis/otp.js";
+import loginAttemptStore from "../redis/loginAttempts.js";
 import passwordHash from "../utils/passwordHash.js";
 import { sendMail } from "../queue/mailQueue.js";
 import formatDateTime from "../utils/formatDateTIme.js";
 import getDeviceInfo from "../utils/deviceInfo.js";
+import authSessionStore from "../redis/authSession.js";
+import { env } from "../init/env.js";
+import securityEventService from "../services/securityEvent.service.js";
 
 const sendOTP = async (req, res, next) => {
     try {
@@ -24,6 +28,11 @@ const sendOTP = async (req, res, next) => {
             return next(new AppError("Email not found", 404));
         }
 
+        const { allowed, ttl } = await checkOtpIssuance(normalizedEmail);
+        if (!allowed) {
+            return next(new AppError(`Too many codes sent to this email. Try again in ${ttl} seconds.`, 429));
+        }
+
         const otp = generateOtp();
         await otpStore.setOtp(normalizedEmail, otp);
 
@@ -36,7 +45,11 @@ const sendOTP = async (req, res, next) => {
             deviceInfo
         };
 
-        await sendMail(normalizedEmail, "reset-otp", dateTimeData, 10);
+        const sent = await sendMail(normalizedEmail, "reset-otp", dateTimeData, 10, { expiresInSeconds: otpStore.OTP_TTL_SECONDS });
+        if (!sent) {
+            return next(new AppError("Could not send the OTP, please try again", 503));
+        }
+        await securityEventService.recordSecurityEvent(user._id, "otp_sent", deviceInfo, { purpose: "password-reset" });
 
 
         res.status(200).json({
@@ -83,9 +96,12 @@ const resetPassword = async (req, res, next) => {
         }
 
         const hashedPassword = await passwordHash.encryptPassword(password);
-        await passwordService.resetUserPassword(email, hashedPassword);
+        await passwordService.resetUserPassword(email, hashedPassword, user.password);
 
         await otpStore.deleteOtp(email);
+        await authSessionStore.deleteAllSessions(user._id.toString());
+        // Proving control of the email also lifts a lockout
+        await loginAttemptStore.clearFailures(user._id.toString());
 
         const displayName = user.firstName ? `${user.firstName} ${user.lastName || ''}`.trim() : user.username;
         const deviceInfo = getDeviceInfo(req);
@@ -95,6 +111,7 @@ const resetPassword = async (req, res, next) => {
             deviceInfo
         };
         await sendMail(email, "resetPassword", dateTimeData, 7);
+        await securityEventService.recordSecurityEvent(user._id, "password_reset", deviceInfo, { sessionsRevoked: true });
 
 
 
@@ -109,9 +126,65 @@ const resetPassword = async (req, res, next) => {
     }
 };
 
+const changePassword = async (req, res, next) => {
+    try {
+        const userId = req.userId;
+
+        const validation = validateChangePasswordInput(req.body);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const { currentPassword, password, confirmPassword } = validation.data;
+
+        if (password !== confirmPassword) {
+            return next(new AppError("Passwords do not match", 400));
+        }
+
+        const user = await passwordService.findUserWithPasswordHistory(userId);
+        if (!user) {
+            return next(new AppError("User not found", 404));
+        }
+
+        const isMatch = await passwordHash.decryptPassword(currentPassword, user.password);
+        if (!isMatch) {
+            return next(new AppError("Invalid password", 401));
+        }
+
+        if (await passwordService.isRecentPassword(user, password)) {
+            return next(new AppError(`New password must differ from your last ${env.auth.passwordHistorySize} passwords`, 400));
+        }
+
+        const hashedPassword = await passwordHash.encryptPassword(password);
+        await passwordService.changeUserPassword(userId, hashedPassword, user.password);
+
+        // Every other device has to sign in again with the new password
+        await authSessionStore.deleteAllSessions(String(userId), { exceptSessionId: req.sessionId });
+
+        const displayName = user.firstName ? `${user.firstName} ${user.lastName || ''}`.trim() : user.username;
+        const deviceInfo = getDeviceInfo(req);
+        const dateTimeData = {
+            ...formatDateTime(Date.now()),
+            name: displayName,
+            deviceInfo
+        };
+        await sendMail(user.email, "resetPassword", dateTimeData, 7);
+        await securityEventService.recordSecurityEvent(userId, "password_change", deviceInfo, { otherSessionsRevoked: true });
+
+        res.status(200).json({
+            success: true,
+            message: "Password changed successfully"
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
 const passwordController = {
     resetPassword,
-    sendOTP
+    sendOTP,
+    changePassword
 };
 
 export default passwordController;
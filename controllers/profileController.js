@@ -0,0 +1,75 @@
+import AppError from "../error/AppError.js";
+import errorHandler from "../error/errorHandler.js";
+import profileService from "../services/profile.service.js";
+import { validateUsername } from "../utils/authValidation.js";
+import { validateProfileUpdate } from "../utils/profileValidation.js";
+
+const getPublicProfile = async (req, res, next) => {
+    try {
+        const validation = validateUsername(req.params.username);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const profile = await profileService.getPublicProfile(validation.data);
+        if (!profile) {
+            return next(new AppError("Profile not found", 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: profile
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const getMyProfile = async (req, res, next) => {
+    try {
+        const profile = await profileService.getOwnProfile(req.userId);
+        if (!profile) {
+            return next(new AppError("User not found", 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: profile
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const updateProfile = async (req, res, next) => {
+    try {
+        const validation = validateProfileUpdate(req.body);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const profile = await profileService.updateProfile(req.userId, validation.data);
+        if (!profile) {
+            return next(new AppError("User not found", 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: "Profile updated successfully",
+            data: profile
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const profileController = {
+    getPublicProfile,
+    getMyProfile,
+    updateProfile
+};
+
+export default profileController;
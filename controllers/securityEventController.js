@@ -0,0 +1,34 @@
+import AppError from "../error/AppError.js";
+import errorHandler from "../error/errorHandler.js";
+import securityEventService from "../services/securityEvent.service.js";
+import { validateSecurityEventQuery } from "../utils/securityEventValidation.js";
+
+const getSecurityEvents = async (req, res, next) => {
+    try {
+        const validation = validateSecurityEventQuery(req.query);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const { page, limit, ...filters } = validation.data;
+        const events = await securityEventService.getSecurityEvents(req.userId, filters, { page, limit });
+
+        if (!events) {
+            return next(new AppError("User not found", 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: events
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const securityEventController = {
+    getSecurityEvents
+};
+
+export default securityEventController;
@@ -0,0 +1,64 @@
+import errorHandler from "../error/errorHandler.js";
+import authSessionStore from "../redis/authSession.js";
+
+const logout = async (req, res, next) => {
+    try {
+        await authSessionStore.deleteSession(req.sessionId, req.userId);
+
+        res.status(200).json({
+            success: true,
+            message: "Logged out successfully"
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const logoutAll = async (req, res, next) => {
+    try {
+        const revoked = await authSessionStore.deleteAllSessions(req.userId);
+
+        res.status(200).json({
+            success: true,
+            message: "Logged out of all sessions",
+            data: { revoked }
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const getSessions = async (req, res, next) => {
+    try {
+        const sessions = await authSessionStore.listSessions(req.userId);
+
+        const data = sessions
+            .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+            .map(({ sessionId, createdAt, lastUsedAt, rememberMe, deviceInfo }) => ({
+                sessionId,
+                current: sessionId === req.sessionId,
+                createdAt,
+                lastUsedAt,
+                rememberMe,
+                deviceInfo
+            }));
+
+        res.status(200).json({
+            success: true,
+            data
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const sessionController = {
+    logout,
+    logoutAll,
+    getSessions
+};
+
+export default sessionController;
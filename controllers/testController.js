@@ -0,0 +1,179 @@
+import crypto from "crypto";
+import AppError from "../error/AppError.js";
+import errorHandler from "../error/errorHandler.js";
+import jwtHelper from "../auth/jwt.js";
+import { env } from "../init/env.js";
+import analyticsService from "../services/analytics.service.js";
+import paragraphCatalog from "../helper/paragraphCatalog.js";
+import leaderboard from "../helper/leaderboardHelper.js";
+import testSessionStore from "../redis/testSession.js";
+import { computeTypingScore } from "../utils/typingScore.js";
+import { validateStartTestInput, validateSubmitTestInput } from "../utils/testValidation.js";
+
+// Allowance for network latency between the last keystroke and the server clock
+const TIMING_TOLERANCE_SECONDS = 1;
+
+const startTest = async (req, res, next) => {
+    try {
+        const userId = req.userId;
+
+        const validation = validateStartTestInput(req.body || {});
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const { paragraphId, type, difficulty, length, duration = null } = validation.data;
+
+        const paragraph = paragraphId
+            ? await paragraphCatalog.getParagraphById(paragraphId)
+            : await paragraphCatalog.getRandomParagraph({ type, difficulty, length });
+
+        if (!paragraph) {
+            return next(new AppError("Paragraph not found", 404));
+        }
+
+        await paragraphCatalog.recordServed(paragraph.id);
+
+        const sessionId = crypto.randomUUID();
+        await testSessionStore.setTestSession(sessionId, {
+            userId: String(userId),
+            paragraphId: paragraph.id,
+            duration,
+            startedAt: Date.now()
+        });
+
+        const sessionToken = jwtHelper.generateTestSessionToken(
+            { sessionId, userId: String(userId), paragraphId: paragraph.id },
+            env.test.sessionTtlSeconds
+        );
+
+        res.status(201).json({
+            success: true,
+            data: {
+                sessionToken,
+                expiresIn: env.test.sessionTtlSeconds,
+                duration,
+                paragraph
+            }
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const submitTest = async (req, res, next) => {
+    try {
+        const userId = req.userId;
+
+        const validation = validateSubmitTestInput(req.body);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const { sessionToken, typedText, keystrokes } = validation.data;
+
+        const verification = await jwtHelper.verifyToken(sessionToken);
+        if (!verification.valid || verification.decoded.type !== 'test-session') {
+            return next(new AppError("Invalid or expired test session", 401));
+        }
+
+        if (verification.decoded.userId !== String(userId)) {
+            return next(new AppError("Test session does not belong to this user", 403));
+        }
+
+        const session = await testSessionStore.consumeTestSession(verification.decoded.sessionId);
+        if (!session) {
+            return next(new AppError("Test session expired or already submitted", 409));
+        }
+
+        const paragraph = await paragraphCatalog.getParagraphById(session.paragraphId, { includeInactive: true });
+        if (!paragraph) {
+            return next(new AppError("Paragraph not found", 404));
+        }
+
+        if (typedText.length > paragraph.content.length) {
+            return next(new AppError("Typed text is longer than the paragraph", 400));
+        }
+
+        if (keystrokes.length < typedText.length) {
+            return next(new AppError("Keystroke data does not match typed text", 400));
+        }
+
+        const score = computeTypingScore(paragraph.content, typedText, keystrokes);
+        if (!score) {
+            return next(new AppError("Invalid keystroke timings", 400));
+        }
+
+        const serverElapsedSeconds = (Date.now() - session.startedAt) / 1000;
+        if (score.elapsedSeconds > serverElapsedSeconds + TIMING_TOLERANCE_SECONDS) {
+            return next(new AppError("Keystroke timings do not match the test session", 400));
+        }
+
+        if (session.duration && score.elapsedSeconds > session.duration + TIMING_TOLERANCE_SECONDS) {
+            return next(new AppError("Keystroke timings exceed the test duration", 400));
+        }
+
+        if (score.wpm > env.test.maxWpm) {
+            return next(new AppError("Result rejected: typing speed is not plausible", 400));
+        }
+
+        const mode = paragraphCatalog.getParagraphMode(paragraph);
+        const takenAt = Date.now();
+
+        const updated = await analyticsService.updateAnalytics(userId, {
+            wpm: score.wpm,
+            rawWpm: score.rawWpm,
+            accuracy: score.accuracy,
+            consistency: score.consistency,
+            errors: score.errors,
+            testTimings: score.elapsedSeconds,
+            maxStreak: score.maxStreak,
+            lastTestTaken: takenAt,
+            paragraphId: paragraph.id,
+            mode,
+            duration: session.duration
+        });
+
+        if (!updated) {
+            return next(new AppError("Analytics not found", 404));
+        }
+
+        await leaderboard.recordResult(userId, {
+            mode,
+            wpm: score.wpm,
+            accuracy: score.accuracy,
+            consistency: score.consistency,
+            paragraphId: paragraph.id,
+            takenAt
+        }, updated.analytics);
+
+        await paragraphCatalog.recordResult(paragraph.id, { wpm: score.wpm, accuracy: score.accuracy });
+
+        res.status(200).json({
+            success: true,
+            message: "Test submitted successfully",
+            data: {
+                result: {
+                    paragraphId: paragraph.id,
+                    mode,
+                    duration: session.duration,
+                    ...score
+                },
+                isPersonalBest: updated.newPersonalBests.length > 0,
+                newPersonalBests: updated.newPersonalBests,
+                analytics: updated.analytics
+            }
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const testController = {
+    startTest,
+    submitTest
+};
+
+export default testController;
@@ -0,0 +1,152 @@
+import AppError from "../error/AppError.js";
+import errorHandler from "../error/errorHandler.js";
+import passwordHash from "../utils/passwordHash.js";
+import twoFactorService from "../services/twoFactor.service.js";
+import { validateTwoFactorEnrolInput, validateTwoFactorConfirmInput, validateTwoFactorDisableInput } from "../utils/authValidation.js";
+import { buildOtpauthUri } from "../utils/totp.js";
+import { env } from "../init/env.js";
+import { sendMail } from "../queue/mailQueue.js";
+import formatDateTime from "../utils/formatDateTIme.js";
+import getDeviceInfo from "../utils/deviceInfo.js";
+import securityEventService from "../services/securityEvent.service.js";
+
+const enrolTwoFactor = async (req, res, next) => {
+    try {
+        const userId = req.userId;
+
+        const validation = validateTwoFactorEnrolInput(req.body);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const user = await twoFactorService.findUserWithTwoFactor(userId);
+        if (!user) {
+            return next(new AppError("User not found", 404));
+        }
+
+        const isMatch = await passwordHash.decryptPassword(validation.data.password, user.password);
+        if (!isMatch) {
+            return next(new AppError("Invalid password", 401));
+        }
+
+        if (user.twoFactor?.enabled) {
+            return next(new AppError("Two-factor authentication is already enabled", 409));
+        }
+
+        const secret = await twoFactorService.startEnrolment(userId);
+
+        res.status(200).json({
+            success: true,
+            message: "Scan the QR code or enter the secret in your authenticator app, then confirm with a code",
+            data: {
+                secret,
+                otpauthUri: buildOtpauthUri(secret, user.email, env.twoFactor.issuer)
+            }
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const confirmTwoFactor = async (req, res, next) => {
+    try {
+        const userId = req.userId;
+
+        const validation = validateTwoFactorConfirmInput(req.body);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const user = await twoFactorService.findUserWithTwoFactor(userId);
+        if (!user) {
+            return next(new AppError("User not found", 404));
+        }
+
+        if (user.twoFactor?.enabled) {
+            return next(new AppError("Two-factor authentication is already enabled", 409));
+        }
+
+        if (!user.twoFactor?.pendingSecret) {
+            return next(new AppError("Start two-factor enrolment first", 400));
+        }
+
+        const recoveryCodes = await twoFactorService.confirmEnrolment(user, validation.data.code);
+        if (!recoveryCodes) {
+            return next(new AppError("Invalid authentication code", 400));
+        }
+
+        const displayName = user.firstName ? `${user.firstName} ${user.lastName || ''}`.trim() : user.username;
+        const deviceInfo = getDeviceInfo(req);
+        const dateTimeData = { ...formatDateTime(Date.now()), name: displayName, deviceInfo };
+        await sendMail(user.email, "2fa-enabled", dateTimeData, 7);
+        await securityEventService.recordSecurityEvent(userId, "two_factor_enabled", deviceInfo);
+
+        res.status(200).json({
+            success: true,
+            message: "Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown only once.",
+            data: {
+                recoveryCodes
+            }
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const disableTwoFactor = async (req, res, next) => {
+    try {
+        const userId = req.userId;
+
+        const validation = validateTwoFactorDisableInput(req.body);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const { password, code } = validation.data;
+
+        const user = await twoFactorService.findUserWithTwoFactor(userId);
+        if (!user) {
+            return next(new AppError("User not found", 404));
+        }
+
+        if (!user.twoFactor?.enabled) {
+            return next(new AppError("Two-factor authentication is not enabled", 400));
+        }
+
+        const isMatch = await passwordHash.decryptPassword(password, user.password);
+        if (!isMatch) {
+            return next(new AppError("Invalid password", 401));
+        }
+
+        const result = await twoFactorService.verifyCode(user, code);
+        if (!result.valid) {
+            return next(new AppError("Invalid authentication code", 401));
+        }
+
+        await twoFactorService.disableTwoFactor(userId);
+
+        const displayName = user.firstName ? `${user.firstName} ${user.lastName || ''}`.trim() : user.username;
+        const deviceInfo = getDeviceInfo(req);
+        const dateTimeData = { ...formatDateTime(Date.now()), name: displayName, deviceInfo };
+        await sendMail(user.email, "2fa-disabled", dateTimeData, 7);
+        await securityEventService.recordSecurityEvent(userId, "two_factor_disabled", deviceInfo, { method: result.method });
+
+        res.status(200).json({
+            success: true,
+            message: "Two-factor authentication disabled"
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const twoFactorController = {
+    enrolTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor
+};
+
+export default twoFactorController;
@@ -1,13 +1,22 @@
 import AppError from "../error/AppError.js";
 import errorHandler from "../error/errorHandler.js";
 import userService from "../services/user.service.js";
-import { validateUsername, validateDeleteAccountInput } from "../utils/authValidation.js";
+import { validateUsername, validateDeleteAccountInput, validateUpdateEmailInput, validateConfirmEmailChangeInput, validateExportQuery } from "../utils/authValidation.js";
 import { setUsername } from "../redis/user.js";
 import passwordHash from "../utils/passwordHash.js";
 import authService from "../services/auth.service.js";
 import { sendMail } from "../queue/mailQueue.js";
 import formatDateTime from "../utils/formatDateTIme.js";
 import getDeviceInfo from "../utils/deviceInfo.js";
+import leaderboard from "../helper/leaderboardHelper.js";
+import authSessionStore from "../redis/authSession.js";
+import { emailChangeStore, emailVerificationStore, checkOtpIssuance } from "../redis/otp.js";
+import { generateOtp } from "../utils/otpUtil.js";
+import securityEventService from "../services/securityEvent.service.js";
+import { env } from "../init/env.js";
+import exportService from "../services/export.service.js";
+import { createZip } from "../utils/zipArchive.js";
+import usernameBlocklist from "../helper/usernameBlocklist.js";
 
 
 
@@ -25,6 +34,16 @@ const checkUsernameAvailability = async (req, res, next) => {
         }
 
         const validatedUsername = validation.data;
+
+        const { blocked } = await usernameBlocklist.checkUsername(validatedUsername);
+        if (blocked) {
+            return res.status(200).json({
+                success: true,
+                available: false,
+                message: "Username is not allowed"
+            });
+        }
+
         const exists = await userService.checkUsernameExists(validatedUsername);
 
         if (exists) {
@@ -63,19 +82,39 @@ const changeUsername = async (req, res, next) => {
 
         const validatedUsername = validation.data;
 
-        const exists = await userService.checkUsernameExists(validatedUsername);
+        const currentUser = await userService.findUserById(userId);
+        if (!currentUser) {
+            return next(new AppError("User not found", 404));
+        }
+
+        const nextChangeAt = userService.getNextUsernameChangeAt(currentUser);
+        if (nextChangeAt) {
+            return next(new AppError(`Username can be changed again after ${new Date(nextChangeAt).toISOString()}`, 429));
+        }
+
+        const { blocked } = await usernameBlocklist.checkUsername(validatedUsername);
+        if (blocked) {
+            return next(new AppError("Username is not allowed", 400));
+        }
+
+        const exists = await userService.checkUsernameExists(validatedUsername, { exceptUserId: userId });
         if (exists) {
             await setUsername(validatedUsername);
             return next(new AppError("Username is already taken", 409));
         }
 
-        const user = await userService.updateUsername(userId, validatedUsername);
+        const user = await userService.updateUsername(userId, validatedUsername, currentUser.username);
         
         if (!user) {
-            return next(new AppError("User not found", 404));
+            // Another rename went through since the cooldown check above
+            return next(new AppError("Username was changed recently, please try again later", 429));
         }
 
         await setUsername(validatedUsername);
+        await securityEventService.recordSecurityEvent(userId, "username_change", getDeviceInfo(req), {
+            from: currentUser.username,
+            to: user.username
+        });
 
         res.status(200).json({
             success: true,
@@ -88,6 +127,157 @@ const changeUsername = async (req, res, next) => {
     }
 };
 
+const getUsernameHistory = async (req, res, next) => {
+    try {
+        const userId = req.userId;
+
+        const user = await userService.findUserById(userId);
+        if (!user) {
+            return next(new AppError("User not found", 404));
+        }
+
+        const history = await userService.getUsernameHistory(userId);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                username: user.username,
+                nextChangeAt: userService.getNextUsernameChangeAt(user),
+                history
+            }
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const requestEmailChange = async (req, res, next) => {
+    try {
+        const userId = req.userId;
+
+        const validation = validateUpdateEmailInput(req.body);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const { newEmail, password } = validation.data;
+
+        const user = await userService.findUserById(userId);
+        if (!user) {
+            return next(new AppError("User not found", 404));
+        }
+
+        const isMatch = await passwordHash.decryptPassword(password, user.password);
+        if (!isMatch) {
+            return next(new AppError("Invalid password", 401));
+        }
+
+        if (newEmail === user.email) {
+            return next(new AppError("New email must be different from the current email", 400));
+        }
+
+        const existingUser = await authService.findUserByEmailOrUsername(newEmail);
+        if (existingUser) {
+            return next(new AppError("Email already exists", 409));
+        }
+
+        const { allowed, ttl } = await checkOtpIssuance(newEmail);
+        if (!allowed) {
+            return next(new AppError(`Too many codes sent to this email. Try again in ${ttl} seconds.`, 429));
+        }
+
+        const otp = generateOtp();
+        await emailChangeStore.setOtp(String(userId), otp, undefined, { newEmail });
+
+        const displayName = user.firstName ? `${user.firstName} ${user.lastName || ''}`.trim() : user.username;
+        const deviceInfo = getDeviceInfo(req);
+        const dateTimeData = { ...formatDateTime(Date.now()), name: displayName, deviceInfo };
+        const sent = await sendMail(newEmail, "email-change-otp", { ...dateTimeData, otp }, 10, { expiresInSeconds: emailChangeStore.OTP_TTL_SECONDS });
+        if (!sent) {
+            return next(new AppError("Could not send the OTP, please try again", 503));
+        }
+        await securityEventService.recordSecurityEvent(userId, "otp_sent", deviceInfo, { purpose: "email-change" });
+        await sendMail(user.email, "email-change-requested", { ...dateTimeData, newEmail }, 7);
+
+        res.status(200).json({
+            success: true,
+            message: "OTP sent to the new email address",
+            data: {
+                newEmail,
+                expiresIn: emailChangeStore.OTP_TTL_SECONDS
+            }
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const confirmEmailChange = async (req, res, next) => {
+    try {
+        const userId = req.userId;
+
+        const validation = validateConfirmEmailChangeInput(req.body);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const { otp } = validation.data;
+        const key = String(userId);
+
+        const stored = await emailChangeStore.getOtp(key);
+        if (!stored || !stored.newEmail) {
+            return next(new AppError("OTP expired or invalid", 400));
+        }
+
+        if (stored.attempts >= emailChangeStore.MAX_ATTEMPTS) {
+            await emailChangeStore.deleteOtp(key);
+            return next(new AppError("Maximum OTP attempts exceeded", 429));
+        }
+
+        if (stored.otp !== otp) {
+            await emailChangeStore.incrementOtpAttempts(key);
+            return next(new AppError("Invalid OTP", 400));
+        }
+
+        const currentUser = await userService.findUserById(userId);
+        if (!currentUser) {
+            return next(new AppError("User not found", 404));
+        }
+
+        const oldEmail = currentUser.email;
+
+        // A concurrent signup may have taken the address since the request; the
+        // unique index then rejects the update and errorHandler maps it to 409
+        const user = await userService.updateEmail(userId, stored.newEmail);
+        if (!user) {
+            return next(new AppError("User not found", 404));
+        }
+
+        await emailChangeStore.deleteOtp(key);
+        await emailVerificationStore.deleteOtp(oldEmail);
+
+        const displayName = user.firstName ? `${user.firstName} ${user.lastName || ''}`.trim() : user.username;
+        const deviceInfo = getDeviceInfo(req);
+        const dateTimeData = { ...formatDateTime(Date.now()), name: displayName, deviceInfo };
+        await sendMail(oldEmail, "email-changed", { ...dateTimeData, newEmail: user.email }, 7);
+        await securityEventService.recordSecurityEvent(userId, "email_change", deviceInfo, { from: oldEmail, to: user.email });
+
+        res.status(200).json({
+            success: true,
+            message: "Email updated successfully",
+            data: user
+        });
+    }
+    catch(err){
+        if (err.code === 11000) {
+            await emailChangeStore.deleteOtp(String(req.userId));
+        }
+        next(errorHandler(err));
+    }
+};
+
 const deleteAccount = async (req, res, next) => {
     try {
         const { password, confirmPassword } = req.body;
@@ -112,19 +302,68 @@ const deleteAccount = async (req, res, next) => {
             return next(new AppError("Invalid password", 401));
         }
 
-        await userService.deleteUserAccount(userId);
+        // The account is only purged after the grace period; signing in again offers a restore
+        const scheduledFor = Date.now() + env.accountDeletion.graceDays * 24 * 60 * 60 * 1000;
+        await userService.scheduleAccountDeletion(userId, scheduledFor);
+        await leaderboard.removeUser(userId);
+        await authSessionStore.deleteAllSessions(userId);
 
         const displayName = user.firstName ? `${user.firstName} ${user.lastName || ''}`.trim() : user.username;
         const deviceInfo = getDeviceInfo(req);
         const dateTimeData = { ...formatDateTime(Date.now()), name: displayName, deviceInfo };
-        await sendMail(user.email, "delete", dateTimeData, 5);
+        await sendMail(user.email, "delete-scheduled", { ...dateTimeData, deletionScheduledFor: scheduledFor }, 5);
+        // Kept after the account is gone, until the retention period ends
+        await securityEventService.recordSecurityEvent(userId, "account_deletion", deviceInfo, { deletionScheduledFor: scheduledFor });
 
+        res.status(200).json({
+            success: true,
+            message: "Account scheduled for deletion",
+            data: {
+                deletionScheduledFor: scheduledFor
+            }
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const exportData = async (req, res, next) => {
+    try {
+        const userId = req.userId;
+
+        const validation = validateExportQuery(req.query);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
 
+        const { format } = validation.data;
 
+        const data = await exportService.buildExport(userId);
+        if (!data) {
+            return next(new AppError("User not found", 404));
+        }
+
+        const { profile } = data;
+        const displayName = profile.firstName ? `${profile.firstName} ${profile.lastName || ''}`.trim() : profile.username;
+        const deviceInfo = getDeviceInfo(req);
+        const dateTimeData = { ...formatDateTime(Date.now()), name: displayName, deviceInfo };
+        await sendMail(profile.email, "data-export", { ...dateTimeData, format }, 4);
+        await securityEventService.recordSecurityEvent(userId, "data_export", deviceInfo, { format });
+
+        const filename = `typo-export-${profile.username}-${new Date(data.exportedAt).toISOString().slice(0, 10)}`;
+        res.setHeader("Cache-Control", "no-store");
+
+        if (format === "zip") {
+            res.setHeader("Content-Type", "application/zip");
+            res.setHeader("Content-Disposition", `attachment; filename="${filename}.zip"`);
+            return res.status(200).send(createZip(exportService.buildExportFiles(data)));
+        }
 
+        res.setHeader("Content-Disposition", `attachment; filename="${filename}.json"`);
         res.status(200).json({
             success: true,
-            message: "Account deleted successfully"
+            data
         });
     }
     catch(err){
@@ -135,7 +374,11 @@ const deleteAccount = async (req, res, next) => {
 const userController = {
     checkUsernameAvailability,
     changeUsername,
-    deleteAccount
+    getUsernameHistory,
+    requestEmailChange,
+    confirmEmailChange,
+    deleteAccount,
+    exportData
 };
 
 export default userController;
\ No newline at end of file
@@ -0,0 +1,63 @@
+import AppError from "../error/AppError.js";
+import errorHandler from "../error/errorHandler.js";
+import usernameRuleService from "../services/usernameRule.service.js";
+import { validateUsernameRuleInput } from "../utils/usernameRuleValidation.js";
+
+const listRules = async (req, res, next) => {
+    try {
+        const rules = await usernameRuleService.listRules();
+
+        res.status(200).json({
+            success: true,
+            data: { rules }
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const addRule = async (req, res, next) => {
+    try {
+        const validation = validateUsernameRuleInput(req.body);
+        if (!validation.success) {
+            return next(new AppError(validation.message, 400));
+        }
+
+        const rule = await usernameRuleService.addRule(validation.data);
+
+        res.status(201).json({
+            success: true,
+            message: "Username rule added",
+            data: rule
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const removeRule = async (req, res, next) => {
+    try {
+        const removed = await usernameRuleService.removeRule(req.params.ruleId);
+        if (!removed) {
+            return next(new AppError("Username rule not found", 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: "Username rule removed"
+        });
+    }
+    catch(err){
+        next(errorHandler(err));
+    }
+};
+
+const usernameRuleController = {
+    listRules,
+    addRule,
+    removeRule
+};
+
+export default usernameRuleController;
@@ -0,0 +1,38 @@
+// Built-in username blocklist. Usernames are normalized before comparing (see
+// helper/usernameBlocklist.js), so leetspeak and stretched variants need no entries.
+// Terms are compared as written: "root" does not match "rot", "mod" does not match "mood".
+// Admins extend or override these through /api/admin/username-rules.
+
+// Blocked only as the whole username: service names and roles users could impersonate,
+// and words that are part of ordinary words ("rape" in "grapefruit")
+const reserved = [
+	"admin", "administrator", "root", "system", "sysadmin", "superuser",
+	"support", "help", "helpdesk", "contact", "info", "team", "staff",
+	"mod", "moderator", "official", "owner", "security", "billing", "abuse",
+	"typo", "typoapp", "typoteam", "api", "www", "mail", "postmaster", "webmaster",
+	"noreply", "null", "undefined", "anonymous", "guest", "unknown", "deleted",
+	"rape", "nazi", "fuk"
+];
+
+// Blocked at the start of the username ("adminbob", but not "badminton")
+const prefixes = [
+	"admin", "moderator", "hitler", "bitch", "cunt", "slut", "whore"
+];
+
+// Blocked at the end of the username ("bobadmin", "bullshit", but not "shitake")
+const suffixes = [
+	"admin", "moderator", "shit", "bitch", "cunt", "slut", "whore", "retard", "fuk"
+];
+
+// Blocked anywhere inside the username; only terms no ordinary word contains
+const substrings = [
+	"typostaff", "typosupport", "typoofficial",
+	"fuck", "fvck", "fuq", "fck", "phuck", "nigger", "nigga", "faggot"
+];
+
+export default {
+	reserved,
+	prefixes,
+	suffixes,
+	substrings
+};
@@ -0,0 +1,51 @@
+import userService from "../services/user.service.js";
+import authSessionStore from "../redis/authSession.js";
+import { deleteUsernameKey } from "../redis/user.js";
+import { sendMail } from "../queue/mailQueue.js";
+import formatDateTime from "../utils/formatDateTIme.js";
+import { env } from "../init/env.js";
+
+const purgeAccount = async (user) => {
+  const userId = user._id.toString();
+  const deleted = await userService.deleteUserAccount(userId);
+  if (!deleted) return false;
+
+  await authSessionStore.deleteAllSessions(userId);
+  // Frees the username straight away instead of when the availability cache expires
+  await deleteUsernameKey(user.username);
+
+  const displayName = user.firstName ? `${user.firstName} ${user.lastName || ''}`.trim() : user.username;
+  await sendMail(user.email, "delete", { ...formatDateTime(Date.now()), name: displayName }, 5);
+  return true;
+};
+
+// Hard-deletes every account whose deletion grace period has passed, in batches.
+// One failing account is logged and skipped so it can't block the others.
+export const purgeDeletedAccounts = async (now = Date.now()) => {
+  let purged = 0;
+  const failed = new Set();
+
+  while (true) {
+    const due = (await userService.findAccountsDueForPurge(now, env.accountDeletion.purgeBatchSize + failed.size))
+      .filter((user) => !failed.has(user._id.toString()));
+    if (!due.length) break;
+
+    for (const user of due) {
+      try {
+        if (await purgeAccount(user)) purged++;
+        else failed.add(user._id.toString());
+      } catch (err) {
+        console.error(`Failed to purge account ${user._id}:`, err.message);
+        failed.add(user._id.toString());
+      }
+    }
+  }
+
+  return purged;
+};
+
+const accountPurge = {
+  purgeDeletedAccounts
+};
+
+export default accountPurge;
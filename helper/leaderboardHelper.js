@@ -1,48 +1,350 @@
+import TestResult from "../models/testResult.model.js";
+import User from "../models/user.model.js";
 import Analytics from "../models/analytics.model.js";
-import { setLeaderboard } from "../redis/user.js";
+import mongoose from "mongoose";
+import leaderboardStore from "../redis/leaderboard.js";
+import { env } from "../init/env.js";
+import paragraphCatalog from "./paragraphCatalog.js";
+import leaderboardScoring from "./leaderboardScoring.js";
 
-const calculateScore = (wpm, accuracy) => {
-  return wpm * 0.7 + accuracy * 0.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Period boards are kept for a day after their period ends
+const PERIOD_GRACE_MS = DAY_MS;
+
+const PERIODS = ["daily", "weekly", "monthly", "alltime"];
+const LEADERBOARD_MODES = ["all", ...paragraphCatalog.TEST_MODES];
+
+const toDateId = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+// Period boundaries are in UTC; weeks start on Monday
+const getPeriodWindow = (period, timestamp = Date.now()) => {
+  const now = new Date(timestamp);
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const day = now.getUTCDate();
+
+  if (period === "daily") {
+    const start = Date.UTC(year, month, day);
+    return { id: toDateId(start), start, end: start + DAY_MS };
+  }
+  if (period === "weekly") {
+    const start = Date.UTC(year, month, day - ((now.getUTCDay() + 6) % 7));
+    return { id: toDateId(start), start, end: start + 7 * DAY_MS };
+  }
+  if (period === "monthly") {
+    const start = Date.UTC(year, month, 1);
+    return { id: toDateId(start).slice(0, 7), start, end: Date.UTC(year, month + 1, 1) };
+  }
+  return { id: "all", start: 0, end: null };
+};
+
+const getBoardTtlSeconds = (window, timestamp = Date.now()) => {
+  if (!window.end) return 0;
+  return Math.ceil((window.end + PERIOD_GRACE_MS - timestamp) / 1000);
+};
+
+const buildEntry = (rank, member, score, details, usernames) => {
+  const wpm = details?.wpm ?? 0;
+  const accuracy = details?.accuracy ?? 0;
+  return {
+    rank,
+    userId: member,
+    username: usernames.get(member) || "Unknown",
+    score,
+    wpm: Number(wpm.toFixed(2)),
+    accuracy: Number(accuracy.toFixed(2)),
+    consistency: details?.consistency ?? null,
+    paragraphId: details?.paragraphId ?? null,
+    takenAt: details?.takenAt ?? null
+  };
+};
+
+const getUsernames = async (userIds) => {
+  if (!userIds.length) return new Map();
+  const users = await User.find({ _id: { $in: userIds } }).select("username").lean();
+  return new Map(users.map((user) => [user._id.toString(), user.username]));
+};
+
+// Turns a slice of a board into ranked entries, starting at rank `offset + 1`
+const hydrateEntries = async (key, range, offset) => {
+  const members = range.map((entry) => entry.member);
+  const [details, usernames] = await Promise.all([
+    leaderboardStore.getDetails(key, members),
+    getUsernames(members)
+  ]);
+  return range.map((entry, i) => buildEntry(offset + i + 1, entry.member, entry.score, details[i], usernames));
+};
+
+const buildDetails = (run) => ({
+  wpm: run.wpm,
+  accuracy: run.accuracy,
+  consistency: run.consistency ?? null,
+  paragraphId: run.paragraphId,
+  takenAt: run.takenAt
+});
+
+// Best run per user and mode since `since`, ranked by the active scoring strategy
+const aggregateBestRuns = async (match, since) => {
+  return TestResult.aggregate([
+    { $match: { ...match, takenAt: { $gte: since }, accuracy: { $gte: env.leaderboard.minAccuracy } } },
+    { $addFields: { score: leaderboardScoring.getScoreExpression() } },
+    { $sort: { score: -1 } },
+    {
+      $group: {
+        _id: { userId: "$userId", mode: "$mode" },
+        score: { $first: "$score" },
+        wpm: { $first: "$wpm" },
+        accuracy: { $first: "$accuracy" },
+        consistency: { $first: "$consistency" },
+        paragraphId: { $first: "$paragraphId" },
+        takenAt: { $first: "$takenAt" }
+      }
+    }
+  ]).allowDiskUse(true);
 };
 
-export const generateLeaderboard = async () => {
+// Unverified accounts and accounts pending deletion are kept off the boards
+const isRankableUser = async (userId) => {
+  const user = await User.findById(userId).select("isEmailVerified deletionScheduledFor").lean();
+  return Boolean(user?.isEmailVerified) && !user.deletionScheduledFor;
+};
+
+// Every eligible user with a qualifying run is on the all-time board
+const isOnBoards = async (member) => {
+  const key = leaderboardStore.getLeaderboardKey("alltime", "all", "all");
+  return (await leaderboardStore.getRank(key, member)) !== null;
+};
+
+// Places a user's best runs from the test history on the current boards,
+// used when a user first becomes eligible
+const recordUserHistory = async (userId, timestamp = Date.now()) => {
+  const member = String(userId);
+  const entries = [];
+
+  for (const period of PERIODS) {
+    const window = getPeriodWindow(period, timestamp);
+    const ttlSeconds = getBoardTtlSeconds(window, timestamp);
+    const bestRuns = await aggregateBestRuns({ userId: new mongoose.Types.ObjectId(member) }, window.start);
+
+    for (const run of bestRuns) {
+      const score = Math.round(run.score * 100) / 100;
+      for (const mode of ["all", run._id.mode]) {
+        entries.push({
+          key: leaderboardStore.getLeaderboardKey(period, window.id, mode),
+          member,
+          score,
+          details: buildDetails(run),
+          ttlSeconds
+        });
+      }
+    }
+  }
+
+  await leaderboardStore.recordScores(entries);
+};
+
+// Records a submitted result on every period board for its mode and for "all".
+// `userStats` are the user's analytics after the result was stored.
+// Runs after the result is stored, so a failure is only logged; a rebuild resyncs the boards.
+export const recordResult = async (userId, result, userStats = {}) => {
   try {
-    // 1. Get top 10 analytics with user populated (single query!)
-    const analyticsList = await Analytics
-      .find()
-      .sort({ wpm: -1, accuracy: -1 })
-      .limit(10)
-      .populate('userId', 'username') // Populate user with only username field
-      .lean();
-
-    const leaderboard = [];
-
-    // 2. Map analytics to leaderboard format
-    for (let i = 0; i < analyticsList.length; i++) {
-      const analytics = analyticsList[i];
-
-      leaderboard.push({
-        rank: i + 1,
-        userId: analytics.userId?._id?.toString() || analytics.userId.toString(),
-        username: analytics.userId?.username || "Unknown",
-        wpm: Number(analytics.wpm.toFixed(2)),
-        accuracy: Number(analytics.accuracy.toFixed(2)),
-        weightedScore: Number(
-          calculateScore(analytics.wpm, analytics.accuracy).toFixed(2)
-        )
-      });
+    const timestamp = result.takenAt || Date.now();
+    if (!leaderboardScoring.isEligibleUser(userStats, timestamp)) return false;
+    if (!(await isRankableUser(userId))) return false;
+
+    // Earlier runs were held back while the user was below the minimum test count.
+    // Checked before the run itself, so a low-accuracy run can't skip the backfill;
+    // the history includes this run.
+    const member = String(userId);
+    if (!(await isOnBoards(member))) {
+      await recordUserHistory(userId, timestamp);
+      return true;
+    }
+
+    if (!leaderboardScoring.isEligibleRun(result)) return false;
+
+    const score = leaderboardScoring.scoreRun(result);
+    const details = buildDetails({ ...result, takenAt: timestamp });
+
+    const entries = [];
+    for (const period of PERIODS) {
+      const window = getPeriodWindow(period, timestamp);
+      const ttlSeconds = getBoardTtlSeconds(window, timestamp);
+      for (const mode of ["all", result.mode]) {
+        entries.push({
+          key: leaderboardStore.getLeaderboardKey(period, window.id, mode),
+          member,
+          score,
+          details,
+          ttlSeconds
+        });
+      }
+    }
+
+    await leaderboardStore.recordScores(entries);
+    return true;
+  } catch (err) {
+    console.error(`Failed to record a leaderboard result for user ${userId}:`, err.message);
+    return false;
+  }
+};
+
+export const getLeaderboardPage = async ({ period = "alltime", mode = "all", page = 1, limit = 20 } = {}) => {
+  const window = getPeriodWindow(period);
+  const key = leaderboardStore.getLeaderboardKey(period, window.id, mode);
+  const offset = (page - 1) * limit;
+
+  const [range, total] = await Promise.all([
+    leaderboardStore.getRange(key, offset, offset + limit - 1),
+    leaderboardStore.getCount(key)
+  ]);
+
+  return {
+    period,
+    periodId: window.id,
+    mode,
+    scoring: leaderboardScoring.getStrategyName(),
+    entries: await hydrateEntries(key, range, offset),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// Caller's position on a board plus `neighbours` entries either side. `at` picks the
+// period the board belongs to; a past period's board is only kept for a day after it ends.
+export const getUserRank = async (userId, { period = "alltime", mode = "all", neighbours = 2, at = Date.now() } = {}) => {
+  const window = getPeriodWindow(period, at);
+  const key = leaderboardStore.getLeaderboardKey(period, window.id, mode);
+  const member = String(userId);
+
+  const [rank, total] = await Promise.all([
+    leaderboardStore.getRank(key, member),
+    leaderboardStore.getCount(key)
+  ]);
+
+  if (rank === null) {
+    return { period, periodId: window.id, mode, rank: null, total, entries: [] };
+  }
+
+  const start = Math.max(0, rank - neighbours);
+  const range = await leaderboardStore.getRange(key, start, rank + neighbours);
+
+  return {
+    period,
+    periodId: window.id,
+    mode,
+    rank: rank + 1,
+    total,
+    entries: await hydrateEntries(key, range, start)
+  };
+};
+
+// Puts a user's history on the boards once they become eligible outside of a
+// submission, e.g. after verifying their email or restoring their account
+export const addUser = async (userId) => {
+  const stats = await Analytics.findOne({ userId }).select("totalPar lastTestTaken").lean();
+  if (!stats || !leaderboardScoring.isEligibleUser(stats)) return false;
+  if (!(await isRankableUser(userId))) return false;
+  await recordUserHistory(userId);
+  return true;
+};
+
+// Drops a user from every current board, e.g. after an analytics reset
+export const removeUser = async (userId) => {
+  const keys = [];
+  for (const period of PERIODS) {
+    const window = getPeriodWindow(period);
+    for (const mode of LEADERBOARD_MODES) {
+      keys.push(leaderboardStore.getLeaderboardKey(period, window.id, mode));
     }
+  }
+  await leaderboardStore.removeMember(keys, String(userId));
+};
+
+const getEligibleUserIds = async (userIds, now) => {
+  if (!userIds.length) return new Set();
+  const [stats, rankableUsers] = await Promise.all([
+    Analytics.find({ userId: { $in: userIds } }).select("userId totalPar lastTestTaken").lean(),
+    User.find({ _id: { $in: userIds }, isEmailVerified: true, deletionScheduledFor: null }).select("_id").lean()
+  ]);
+  const rankableUserIds = new Set(rankableUsers.map((user) => user._id.toString()));
+  return new Set(
+    stats
+      .filter((entry) => rankableUserIds.has(entry.userId.toString()))
+      .filter((entry) => leaderboardScoring.isEligibleUser(entry, now))
+      .map((entry) => entry.userId.toString())
+  );
+};
 
-    // 3. Save in Redis
-    await setLeaderboard(leaderboard);
+// Rebuilds the current boards of every period from the test history
+export const rebuildLeaderboards = async () => {
+  try {
+    const now = Date.now();
+    for (const period of PERIODS) {
+      const window = getPeriodWindow(period, now);
+      const bestRuns = await aggregateBestRuns({}, window.start);
 
-    return leaderboard;
+      const userIds = [...new Set(bestRuns.map((run) => run._id.userId.toString()))];
+      const eligibleUserIds = await getEligibleUserIds(userIds, now);
+
+      const boards = new Map(LEADERBOARD_MODES.map((mode) => [mode, new Map()]));
+      for (const run of bestRuns) {
+        const member = run._id.userId.toString();
+        if (!eligibleUserIds.has(member)) continue;
+
+        const entry = {
+          member,
+          score: Math.round(run.score * 100) / 100,
+          details: buildDetails(run)
+        };
+        boards.get(run._id.mode)?.set(member, entry);
+
+        const overall = boards.get("all");
+        const current = overall.get(member);
+        if (!current || current.score < entry.score) overall.set(member, entry);
+      }
+
+      const ttlSeconds = getBoardTtlSeconds(window, now);
+      for (const [mode, entries] of boards) {
+        const key = leaderboardStore.getLeaderboardKey(period, window.id, mode);
+        await leaderboardStore.replaceBoard(key, [...entries.values()], ttlSeconds);
+      }
+    }
+
+    await leaderboardStore.setScoringSignature(leaderboardScoring.getScoringSignature());
   } catch (err) {
     console.error(err);
-    throw new Error("Failed to generate leaderboard");
+    throw new Error("Failed to rebuild leaderboards");
   }
 };
 
+// Rebuilds when the all-time board is missing (e.g. after a Redis flush) or
+// was built with a different scoring strategy or eligibility rules
+export const ensureLeaderboards = async () => {
+  const key = leaderboardStore.getLeaderboardKey("alltime", "all", "all");
+  const [exists, signature] = await Promise.all([
+    leaderboardStore.boardExists(key),
+    leaderboardStore.getScoringSignature()
+  ]);
+  if (exists && signature === leaderboardScoring.getScoringSignature()) return false;
+  await rebuildLeaderboards();
+  return true;
+};
 
-const leaderboard = {generateLeaderboard}
-export default leaderboard;
\ No newline at end of file
+const leaderboard = {
+  PERIODS,
+  LEADERBOARD_MODES,
+  getPeriodWindow,
+  recordResult,
+  getLeaderboardPage,
+  getUserRank,
+  addUser,
+  removeUser,
+  rebuildLeaderboards,
+  ensureLeaderboards
+};
+export default leaderboard;
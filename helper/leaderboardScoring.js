@@ -0,0 +1,86 @@
+import { env } from "../init/env.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Share of the net score that depends on consistency in the "consistency" strategy
+const CONSISTENCY_SHARE = 0.25;
+
+// Each strategy scores a single run in JS (incremental updates) and as a
+// MongoDB expression over test results (rebuilds); the two must agree.
+const strategies = {
+  wpm: {
+    score: (run) => run.wpm,
+    expression: () => "$wpm",
+  },
+  weighted: {
+    score: (run) => run.wpm * env.leaderboard.wpmWeight + run.accuracy * env.leaderboard.accuracyWeight,
+    expression: () => ({
+      $add: [
+        { $multiply: ["$wpm", env.leaderboard.wpmWeight] },
+        { $multiply: ["$accuracy", env.leaderboard.accuracyWeight] },
+      ],
+    }),
+  },
+  net: {
+    score: (run) => (run.wpm * run.accuracy) / 100,
+    expression: () => ({ $divide: [{ $multiply: ["$wpm", "$accuracy"] }, 100] }),
+  },
+  consistency: {
+    score: (run) =>
+      ((run.wpm * run.accuracy) / 100) *
+      (1 - CONSISTENCY_SHARE + (CONSISTENCY_SHARE * (run.consistency ?? 0)) / 100),
+    expression: () => ({
+      $multiply: [
+        { $divide: [{ $multiply: ["$wpm", "$accuracy"] }, 100] },
+        {
+          $add: [
+            1 - CONSISTENCY_SHARE,
+            { $divide: [{ $multiply: [{ $ifNull: ["$consistency", 0] }, CONSISTENCY_SHARE] }, 100] },
+          ],
+        },
+      ],
+    }),
+  },
+};
+
+const getStrategyName = () => (strategies[env.leaderboard.scoring] ? env.leaderboard.scoring : "weighted");
+
+const getStrategy = () => strategies[getStrategyName()];
+
+const scoreRun = (run) => Math.round(getStrategy().score(run) * 100) / 100;
+
+const getScoreExpression = () => getStrategy().expression();
+
+// Whether a single run may be placed on a board at all
+const isEligibleRun = (run) => run.accuracy >= env.leaderboard.minAccuracy;
+
+// Whether a user has enough, and recent enough, activity to be ranked
+const isEligibleUser = ({ totalPar = 0, lastTestTaken = null } = {}, now = Date.now()) => {
+  if (totalPar < env.leaderboard.minTests) return false;
+  if (env.leaderboard.activeDays > 0) {
+    if (!lastTestTaken || lastTestTaken < now - env.leaderboard.activeDays * DAY_MS) return false;
+  }
+  return true;
+};
+
+// Changes whenever the strategy or eligibility rules change, so stale boards can be rebuilt
+const getScoringSignature = () =>
+  JSON.stringify({
+    scoring: getStrategyName(),
+    wpmWeight: env.leaderboard.wpmWeight,
+    accuracyWeight: env.leaderboard.accuracyWeight,
+    minTests: env.leaderboard.minTests,
+    minAccuracy: env.leaderboard.minAccuracy,
+    activeDays: env.leaderboard.activeDays,
+  });
+
+const leaderboardScoring = {
+  getStrategyName,
+  scoreRun,
+  getScoreExpression,
+  isEligibleRun,
+  isEligibleUser,
+  getScoringSignature,
+};
+
+export default leaderboardScoring;
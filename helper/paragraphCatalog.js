@@ -0,0 +1,124 @@
+import Paragraph from "../models/paragraph.model.js";
+
+const TEST_MODES = ["quote", "easy-short", "easy-long", "hard-short", "hard-long"];
+
+// Public shape of a paragraph, as served to clients and published to the paragraph queue
+const toParagraph = (paragraph) => ({
+  id: paragraph.paragraphId,
+  content: paragraph.content,
+  type: paragraph.type,
+  difficulty: paragraph.difficulty,
+  length: paragraph.length,
+  language: paragraph.language,
+  source: paragraph.source,
+  author: paragraph.author,
+});
+
+const buildFilter = ({ type, difficulty, length } = {}) => {
+  const filter = { isActive: true };
+  if (type) filter.type = type;
+  if (difficulty) filter.difficulty = difficulty;
+  if (length) filter.length = length;
+  return filter;
+};
+
+// `includeInactive` lets a test started before a paragraph was deactivated still be submitted
+const getParagraphById = async (id, { includeInactive = false } = {}) => {
+  if (!id || typeof id !== "string") return null;
+  const filter = { paragraphId: id.trim() };
+  if (!includeInactive) filter.isActive = true;
+  const paragraph = await Paragraph.findOne(filter).lean();
+  return paragraph ? toParagraph(paragraph) : null;
+};
+
+const getRandomParagraph = async (filters = {}) => {
+  const [paragraph] = await Paragraph.aggregate([
+    { $match: buildFilter(filters) },
+    { $sample: { size: 1 } },
+  ]);
+  return paragraph ? toParagraph(paragraph) : null;
+};
+
+const listParagraphs = async (filters = {}, { page = 1, limit = 20 } = {}) => {
+  const filter = buildFilter(filters);
+  const [paragraphs, total] = await Promise.all([
+    Paragraph.find(filter)
+      .sort({ _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Paragraph.countDocuments(filter),
+  ]);
+  return {
+    paragraphs: paragraphs.map(toParagraph),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+const getActiveParagraphs = async () => {
+  const paragraphs = await Paragraph.find({ isActive: true }).sort({ _id: 1 }).lean();
+  return paragraphs.map(toParagraph);
+};
+
+// Test mode used for history and records: "quote" or "<difficulty>-<length>"
+const getParagraphMode = (paragraph) => {
+  if (!paragraph) return null;
+  if (paragraph.type === "quote") return "quote";
+  return `${paragraph.difficulty}-${paragraph.length}`;
+};
+
+// Stats must never fail the test that triggered them, so errors are only logged
+const recordServed = async (paragraphId) => {
+  try {
+    await Paragraph.updateOne({ paragraphId }, { $inc: { "stats.timesServed": 1 } });
+  } catch (err) {
+    console.error(`Failed to record paragraph ${paragraphId} as served:`, err.message);
+  }
+};
+
+// Folds one completed test into the running averages in a single atomic update.
+// Runs after the result is stored, so a failure here is only logged.
+const recordResult = async (paragraphId, { wpm, accuracy }) => {
+  const runningAverage = (field, value) => ({
+    $divide: [
+      { $add: [{ $multiply: [`$stats.${field}`, "$stats.testsCompleted"] }, value] },
+      { $add: ["$stats.testsCompleted", 1] },
+    ],
+  });
+  try {
+    await Paragraph.updateOne(
+      { paragraphId },
+      [
+        {
+          $set: {
+            "stats.averageWpm": runningAverage("averageWpm", wpm),
+            "stats.averageAccuracy": runningAverage("averageAccuracy", accuracy),
+            "stats.testsCompleted": { $add: ["$stats.testsCompleted", 1] },
+          },
+        },
+      ],
+      { updatePipeline: true }
+    );
+  } catch (err) {
+    console.error(`Failed to record a result for paragraph ${paragraphId}:`, err.message);
+  }
+};
+
+const paragraphCatalog = {
+  toParagraph,
+  getParagraphById,
+  getRandomParagraph,
+  listParagraphs,
+  getActiveParagraphs,
+  getParagraphMode,
+  recordServed,
+  recordResult,
+  TEST_MODES,
+};
+
+export default paragraphCatalog;
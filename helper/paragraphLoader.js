@@ -1,90 +1,37 @@
-import { env } from "../init/env.js";
-import quotes from "../data/quote.js";
-import paragaph from "../data/paragraph.js";
+import paragraphCatalog from "./paragraphCatalog.js";
+import paragraphService from "../services/paragraph.service.js";
 import { pushParagraphQueue } from "../queue/paragraphQueue.js";
+import { env } from "../init/env.js";
 
+// Publishes the active catalog when its version has changed since the last publish.
+// Every message carries `catalogVersion`, so consumers can drop paragraphs of older
+// versions (removed or deactivated ones). Resolves the number of paragraphs published.
 const loadParagraphsToQueue = async () => {
-  try {
-    const paragraphQueues = [];
-
-    // Load quotes
-    const quoteKey = env.para.quote;
-    const maxQuotes = Math.min(env.para.max, quotes.length);
-    for (let i = 0; i < maxQuotes; i++) {
-      const id = `${quoteKey}${i + 1}`;
-      const payload = {
-        id,
-        content: quotes[i],
-        type: "quote",
-      };
-      paragraphQueues.push(pushParagraphQueue(payload, 3));
-    }
-
-    // Load easy short paragraphs
-    const easyShortKey = env.para.wordEasyShort;
-    const maxEasyShort = Math.min(env.para.max, paragaph.easyShortPara.length);
-    for (let i = 0; i < maxEasyShort; i++) {
-      const id = `${easyShortKey}${i + 1}`;
-      const payload = {
-        id,
-        content: paragaph.easyShortPara[i],
-        type: "paragraph",
-        difficulty: "easy",
-        length: "short",
-      };
-      paragraphQueues.push(pushParagraphQueue(payload, 3));
-    }
-
-    // Load easy long paragraphs
-    const easyLongKey = env.para.wordEasyLong;
-    const maxEasyLong = Math.min(env.para.max, paragaph.easyLongPara.length);
-    for (let i = 0; i < maxEasyLong; i++) {
-      const id = `${easyLongKey}${i + 1}`;
-      const payload = {
-        id,
-        content: paragaph.easyLongPara[i],
-        type: "paragraph",
-        difficulty: "easy",
-        length: "long",
-      };
-      paragraphQueues.push(pushParagraphQueue(payload, 3));
-    }
+  if (!env.isQueueEnabled) return 0;
 
-    // Load hard short paragraphs
-    const hardShortKey = env.para.wordHardShort;
-    const maxHardShort = Math.min(env.para.max, paragaph.hardShortPara.length);
-    for (let i = 0; i < maxHardShort; i++) {
-      const id = `${hardShortKey}${i + 1}`;
-      const payload = {
-        id,
-        content: paragaph.hardShortPara[i],
-        type: "paragraph",
-        difficulty: "hard",
-        length: "short",
-      };
-      paragraphQueues.push(pushParagraphQueue(payload, 3));
+  let claim = null;
+  try {
+    claim = await paragraphService.claimCatalogPublish();
+    if (!claim) {
+      console.log("✓ Paragraph catalog already published");
+      return 0;
     }
 
-    // Load hard long paragraphs
-    const hardLongKey = env.para.wordHardLong;
-    const maxHardLong = Math.min(env.para.max, paragaph.hardLongPara.length);
-    for (let i = 0; i < maxHardLong; i++) {
-      const id = `${hardLongKey}${i + 1}`;
-      const payload = {
-        id,
-        content: paragaph.hardLongPara[i],
-        type: "paragraph",
-        difficulty: "hard",
-        length: "long",
-      };
-      paragraphQueues.push(pushParagraphQueue(payload, 3));
-    }
+    const paragraphs = await paragraphCatalog.getActiveParagraphs();
+    const paragraphQueues = paragraphs.map((paragraph) =>
+      pushParagraphQueue({ ...paragraph, catalogVersion: claim.version }, 3)
+    );
 
     // Execute all queue pushes in parallel
     await Promise.all(paragraphQueues);
-    console.log(`✓ Loaded ${paragraphQueues.length} paragraphs to queue`);
+    console.log(`✓ Loaded ${paragraphQueues.length} paragraphs to queue (catalog v${claim.version})`);
+    return paragraphQueues.length;
   } catch (error) {
     console.error("Failed to load paragraphs to queue:", error.message);
+    if (claim) {
+      await paragraphService.releaseCatalogPublish(claim).catch(() => {});
+    }
+    return 0;
   }
 };
 
@@ -0,0 +1,66 @@
+import Paragraph from "../models/paragraph.model.js";
+import paragraphService from "../services/paragraph.service.js";
+import { env } from "../init/env.js";
+import quotes from "../data/quote.js";
+import paragaph from "../data/paragraph.js";
+
+// Keeps the ids the static catalog used: `${env.para.<key>}${index + 1}`.
+// Entries past env.para.max were never served and start inactive.
+const buildEntries = (list, meta, now) =>
+  list.map((content, i) => ({
+    paragraphId: `${paragraphService.getIdPrefix(meta)}${i + 1}`,
+    content,
+    difficulty: null,
+    length: null,
+    ...meta,
+    language: "en",
+    source: null,
+    author: null,
+    isActive: i < env.para.max,
+    stats: { timesServed: 0, testsCompleted: 0, averageWpm: 0, averageAccuracy: 0 },
+    createdAt: now,
+    updatedAt: now,
+  }));
+
+// One-time migration of data/quote.js and data/paragraph.js into the paragraphs
+// collection. Runs on startup until it has completed once, so paragraphs an admin
+// deletes afterwards are not brought back.
+export const seedParagraphs = async () => {
+  const { seededAt } = await paragraphService.getCatalogState();
+  if (seededAt) return 0;
+
+  const now = Date.now();
+  const lists = [
+    [quotes, { type: "quote" }],
+    [paragaph.easyShortPara, { type: "paragraph", difficulty: "easy", length: "short" }],
+    [paragaph.easyLongPara, { type: "paragraph", difficulty: "easy", length: "long" }],
+    [paragaph.hardShortPara, { type: "paragraph", difficulty: "hard", length: "short" }],
+    [paragaph.hardLongPara, { type: "paragraph", difficulty: "hard", length: "long" }],
+  ];
+  const entries = lists.flatMap(([list, meta]) => buildEntries(list, meta, now));
+
+  // Upserts by id, so an interrupted or concurrent seed is safe to repeat
+  const result = await Paragraph.bulkWrite(
+    entries.map((entry) => ({
+      updateOne: {
+        filter: { paragraphId: entry.paragraphId },
+        update: { $setOnInsert: entry },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+
+  // Generated ids continue after the longest seeded list, so they can't collide
+  await paragraphService.bumpCatalogVersion({
+    $set: { seededAt: now },
+    $max: { sequence: Math.max(...lists.map(([list]) => list.length)) },
+  });
+  return result.upsertedCount;
+};
+
+const paragraphSeed = {
+  seedParagraphs
+};
+
+export default paragraphSeed;
@@ -0,0 +1,99 @@
+import { env } from "../init/env.js";
+import builtinBlocklist from "../data/usernameBlocklist.js";
+import usernameRuleService from "../services/usernameRule.service.js";
+
+// Digits that stand in for letters; "1" is tried as both "i" and "l"
+const LEET_MAP = { "0": "o", "2": "z", "3": "e", "4": "a", "5": "s", "6": "g", "7": "t", "8": "b", "9": "g" };
+
+// Digits that stand in for a vowel are also tried as every other vowel ("f4ck", "sh0t")
+const VOWEL_DIGITS = ["0", "1", "3", "4"];
+const VOWELS = ["a", "e", "i", "o", "u"];
+
+const MATCH_TYPES = ["exact", "prefix", "suffix", "substring"];
+
+// Lower-cases and drops underscores; terms are only ever normalized this far
+const normalizeTerm = (value) => value.toLowerCase().replace(/_/g, "");
+
+// Forms of a username that are compared with the terms: as typed, with leetspeak
+// digits mapped to letters, and with stretched letters (3 or more in a row) cut
+// to one or two, so "4dm1n", "ad_min" and "aaadmin" all match "admin" while
+// "mood" stays "mood". Trailing digits are also tried as a plain suffix ("admin1").
+// Phonetic spellings ("fuk", "phuck") are blocklist terms of their own.
+const getVariants = (username) => {
+  const base = normalizeTerm(username);
+  const forms = [base];
+  const withoutSuffix = base.replace(/[0-9]+$/, "");
+  if (withoutSuffix && withoutSuffix !== base) forms.push(withoutSuffix);
+
+  const variants = new Set();
+  for (const form of forms) {
+    for (const mapped of [
+      form,
+      form.replace(/[0-9]/g, (digit) => (digit === "1" ? "i" : LEET_MAP[digit])),
+      form.replace(/[0-9]/g, (digit) => (digit === "1" ? "l" : LEET_MAP[digit])),
+      ...VOWELS.map((vowel) => form.replace(/[0-9]/g, (digit) => (VOWEL_DIGITS.includes(digit) ? vowel : LEET_MAP[digit]))),
+    ]) {
+      variants.add(mapped);
+      variants.add(mapped.replace(/(.)\1{2,}/g, "$1"));
+      variants.add(mapped.replace(/(.)\1{2,}/g, "$1$1"));
+    }
+  }
+  variants.delete("");
+  return [...variants];
+};
+
+const matchers = {
+  exact: (variant, term) => variant === term,
+  prefix: (variant, term) => variant.startsWith(term),
+  suffix: (variant, term) => variant.endsWith(term),
+  substring: (variant, term) => variant.includes(term),
+};
+
+const buildBlocklist = (rules) => {
+  const terms = {
+    exact: [...builtinBlocklist.reserved],
+    prefix: [...builtinBlocklist.prefixes],
+    suffix: [...builtinBlocklist.suffixes],
+    substring: [...builtinBlocklist.substrings],
+  };
+  const allowed = new Set();
+
+  for (const rule of rules) {
+    if (rule.action === "allow") allowed.add(normalizeTerm(rule.term));
+    else if (terms[rule.match]) terms[rule.match].push(rule.term);
+  }
+
+  return {
+    entries: MATCH_TYPES.flatMap((match) => terms[match].map((term) => ({ term, match, normalized: normalizeTerm(term) }))),
+    allowed,
+  };
+};
+
+// Synchronous core of checkUsername; `rules` are admin rules as returned by
+// usernameRuleService.getActiveRules()
+const findBlockedTerm = (username, rules = []) => {
+  const { entries, allowed } = buildBlocklist(rules);
+  if (allowed.has(normalizeTerm(username))) return null;
+
+  const variants = getVariants(username);
+  for (const { term, match, normalized } of entries) {
+    if (variants.some((variant) => matchers[match](variant, normalized))) return term;
+  }
+  return null;
+};
+
+// Whether a username may be registered or renamed to. Existing usernames are never re-checked.
+const checkUsername = async (username) => {
+  if (!env.usernameBlocklist.enabled || !username) return { blocked: false };
+
+  const term = findBlockedTerm(username, await usernameRuleService.getActiveRules());
+  return term ? { blocked: true, term } : { blocked: false };
+};
+
+const usernameBlocklist = {
+  MATCH_TYPES,
+  findBlockedTerm,
+  checkUsername,
+};
+
+export default usernameBlocklist;
@@ -0,0 +1,151 @@
+import Analytics from "../models/analytics.model.js";
+import User from "../models/user.model.js";
+import TestResult from "../models/testResult.model.js";
+import NotificationPreference from "../models/notificationPreference.model.js";
+import leaderboard from "./leaderboardHelper.js";
+import weeklyDigestStore from "../redis/weeklyDigest.js";
+import { sendMail } from "../queue/mailQueue.js";
+import formatDateTime from "../utils/formatDateTIme.js";
+import { env } from "../init/env.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const toDateId = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+// Users with at least one test since `since`, one page of Analytics at a time
+const findActiveUserIds = async (since, afterId, limit) => {
+  const filter = { lastTestTaken: { $gte: since } };
+  if (afterId) filter._id = { $gt: afterId };
+  return Analytics.find(filter).sort({ _id: 1 }).limit(limit).select("userId").lean();
+};
+
+// Verified accounts, not pending deletion, that haven't turned the digest off
+const findRecipients = async (userIds) => {
+  const [users, optedOut] = await Promise.all([
+    User.find({ _id: { $in: userIds }, isEmailVerified: true, deletionScheduledFor: null })
+      .select("email username firstName lastName")
+      .lean(),
+    NotificationPreference.find({ userId: { $in: userIds }, weeklyDigest: false }).select("userId").lean()
+  ]);
+  const optedOutIds = new Set(optedOut.map((entry) => entry.userId.toString()));
+  return users.filter((user) => !optedOutIds.has(user._id.toString()));
+};
+
+// Per user stats of the digest week and the week before it
+const aggregateWeeklyStats = async (userIds, week, priorWeek) => {
+  const rows = await TestResult.aggregate([
+    { $match: { userId: { $in: userIds }, takenAt: { $gte: priorWeek.start, $lt: week.end } } },
+    {
+      $group: {
+        _id: { userId: "$userId", current: { $gte: ["$takenAt", week.start] } },
+        testsTaken: { $sum: 1 },
+        averageWpm: { $avg: "$wpm" },
+        bestWpm: { $max: "$wpm" },
+        averageAccuracy: { $avg: "$accuracy" },
+        bestAccuracy: { $max: "$accuracy" }
+      }
+    }
+  ]);
+
+  const stats = new Map();
+  for (const { _id, ...values } of rows) {
+    const userId = _id.userId.toString();
+    const entry = stats.get(userId) || { current: null, prior: null };
+    entry[_id.current ? "current" : "prior"] = {
+      testsTaken: values.testsTaken,
+      averageWpm: round(values.averageWpm),
+      bestWpm: round(values.bestWpm),
+      averageAccuracy: round(values.averageAccuracy),
+      bestAccuracy: round(values.bestAccuracy)
+    };
+    stats.set(userId, entry);
+  }
+  return stats;
+};
+
+// Difference to the week before, null when the user took no tests then
+const buildChange = (current, prior) => {
+  if (!prior) return null;
+  return Object.fromEntries(Object.keys(current).map((field) => [field, round(current[field] - prior[field])]));
+};
+
+const getRanks = async (userId, week) => {
+  const [weekly, allTime] = await Promise.all([
+    leaderboard.getUserRank(userId, { period: "weekly", neighbours: 0, at: week.start }),
+    leaderboard.getUserRank(userId, { period: "alltime", neighbours: 0 })
+  ]);
+  return {
+    weekly: { rank: weekly.rank, total: weekly.total },
+    allTime: { rank: allTime.rank, total: allTime.total }
+  };
+};
+
+const sendDigest = async (user, stats, week, now) => {
+  const userId = user._id.toString();
+  if (!(await weeklyDigestStore.claimDigest(week.id, userId))) return false;
+
+  try {
+    const displayName = user.firstName ? `${user.firstName} ${user.lastName || ''}`.trim() : user.username;
+    await sendMail(user.email, "weekly-digest", {
+      ...formatDateTime(now),
+      name: displayName,
+      weekStart: week.id,
+      weekEnd: toDateId(week.end - DAY_MS),
+      stats: stats.current,
+      change: buildChange(stats.current, stats.prior),
+      rank: await getRanks(userId, week)
+    }, 3);
+    return true;
+  } catch (err) {
+    // Lets a later run retry this user
+    await weeklyDigestStore.releaseDigest(week.id, userId).catch(() => {});
+    throw err;
+  }
+};
+
+// Mails last week's typing summary to every opted-in user who took a test that week,
+// in batches. One failing user is logged and skipped so it can't block the others.
+export const sendWeeklyDigests = async (now = Date.now()) => {
+  const thisWeek = leaderboard.getPeriodWindow("weekly", now);
+  const week = leaderboard.getPeriodWindow("weekly", thisWeek.start - 1);
+  const priorWeek = leaderboard.getPeriodWindow("weekly", week.start - 1);
+
+  let sent = 0;
+  let failed = 0;
+  let afterId = null;
+
+  while (true) {
+    const page = await findActiveUserIds(week.start, afterId, env.weeklyDigest.batchSize);
+    if (!page.length) break;
+    afterId = page[page.length - 1]._id;
+
+    const userIds = page.map((entry) => entry.userId);
+    const recipients = await findRecipients(userIds);
+    if (!recipients.length) continue;
+
+    const stats = await aggregateWeeklyStats(recipients.map((user) => user._id), week, priorWeek);
+
+    for (const user of recipients) {
+      const userStats = stats.get(user._id.toString());
+      // Active only after the week ended
+      if (!userStats?.current) continue;
+
+      try {
+        if (await sendDigest(user, userStats, week, now)) sent++;
+      } catch (err) {
+        console.error(`Failed to send weekly digest to ${user._id}:`, err.message);
+        failed++;
+      }
+    }
+  }
+
+  return { weekId: week.id, sent, failed };
+};
+
+const weeklyDigest = {
+  sendWeeklyDigests
+};
+
+export default weeklyDigest;
@@ -16,11 +16,15 @@ const isQueueEnabled =
     process.env.isQueueEnabled === 'true' || 
     (process.env.isQueueEnabled === undefined && isDevelopment);
 
+// For settings where 0 is a valid value, which `parseInt(...) || fallback` would discard
+const finiteOr = (value, fallback) => (Number.isFinite(value) ? value : fallback);
 
 export const env = {
     env: ENV,
     port: parseInt(process.env.PORT) || 8080,
     clientUrl: process.env.CLIENT_URL || 'http://localhost:3000',
+    // Public base URL of this API, used in links that point straight at it
+    apiUrl: (process.env.API_URL || `http://localhost:${parseInt(process.env.PORT) || 8080}`).replace(/\/$/, ''),
     isQueueEnabled,
     mailServiceUrl: process.env.MAIL_SERVICE_URL || 'http://localhost:8081',
 
@@ -34,16 +38,114 @@ export const env = {
         refreshTokenExpire: process.env.REFRESH_TOKEN_EXPIRE || '90d',
         issuer: process.env.TOKEN_ISSUER || 'typo'
     },
+
+    auth: {
+        // Accept the legacy JSON `token` header (with silent renewal) alongside `Authorization: Bearer`
+        legacyTokenHeader: process.env.LEGACY_TOKEN_HEADER !== 'false',
+        // Previous password hashes kept per user that change-password refuses to reuse
+        passwordHistorySize: parseInt(process.env.PASSWORD_HISTORY_SIZE) || 5
+    },
     
+    loginProtection: {
+        maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 5,                     // failures before the first lock
+        baseLockSeconds: parseInt(process.env.LOGIN_BASE_LOCK_SECONDS) || 60,           // doubles with every further failure
+        maxLockSeconds: parseInt(process.env.LOGIN_MAX_LOCK_SECONDS) || 24 * 60 * 60,
+        failureWindowSeconds: parseInt(process.env.LOGIN_FAILURE_WINDOW_SECONDS) || 24 * 60 * 60,
+        unlockTokenTtlSeconds: parseInt(process.env.UNLOCK_TOKEN_TTL_SECONDS) || 60 * 60,
+        otpPerEmailPerHour: parseInt(process.env.OTP_PER_EMAIL_PER_HOUR) || 5
+    },
+
+    username: {
+        changeCooldownDays: parseInt(process.env.USERNAME_CHANGE_COOLDOWN_DAYS) || 30,
+        // An old username stays reserved for its previous owner this long after a rename
+        holdDays: parseInt(process.env.USERNAME_HOLD_DAYS) || 90
+    },
+
+    usernameBlocklist: {
+        enabled: process.env.USERNAME_BLOCKLIST_ENABLED !== 'false',
+        // How long the admin overrides are cached in Redis; edits clear the cache straight away
+        cacheTtlSeconds: parseInt(process.env.USERNAME_RULES_CACHE_TTL_SECONDS) || 300
+    },
+
+    admin: {
+        apiKey: process.env.ADMIN_API_KEY || null
+    },
+
+    accountDeletion: {
+        graceDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14,
+        purgeCron: process.env.ACCOUNT_PURGE_CRON || '0 4 * * *',
+        purgeBatchSize: 100
+    },
+
+    securityEvents: {
+        retentionDays: parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS) || 90
+    },
+
+    twoFactor: {
+        issuer: process.env.TWO_FACTOR_ISSUER || 'Typo',
+        challengeTtlSeconds: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_SECONDS) || 300,
+        // Encrypts TOTP secrets at rest; falls back to the JWT secret
+        encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET,
+        recoveryCodeCount: 10
+    },
+
     para: {
-        max: parseInt(process.env.MAX_PARA) || 10,
+        max: parseInt(process.env.MAX_PARA) || 10, // seeded entries per list that start active
         quote: process.env.QUOTE_KEY || 'qo',
         wordEasyShort: process.env.WORD_KEY_EASY_SHORT || 'wes',
         wordEasyLong: process.env.WORD_KEY_EASY_LONG || 'wel',
         wordHardShort: process.env.WORD_KEY_HARD_SHORT || 'whs',
         wordHardLong: process.env.WORD_KEY_HARD_LONG || 'whl'
     },
+
+    test: {
+        sessionTtlSeconds: parseInt(process.env.TEST_SESSION_TTL_SECONDS) || 900,
+        maxWpm: parseInt(process.env.TEST_MAX_WPM) || 250,
+        durations: [15, 30, 60, 120]
+    },
+
+    analytics: {
+        progressDays: parseInt(process.env.PROGRESS_DAYS) || 30
+    },
+
+    leaderboard: {
+        scoring: process.env.LEADERBOARD_SCORING || 'weighted', // wpm | weighted | net | consistency
+        wpmWeight: finiteOr(parseFloat(process.env.LEADERBOARD_WPM_WEIGHT), 0.7),
+        accuracyWeight: finiteOr(parseFloat(process.env.LEADERBOARD_ACCURACY_WEIGHT), 0.3),
+        minTests: finiteOr(parseInt(process.env.LEADERBOARD_MIN_TESTS), 5),
+        minAccuracy: finiteOr(parseFloat(process.env.LEADERBOARD_MIN_ACCURACY), 0),
+        activeDays: finiteOr(parseInt(process.env.LEADERBOARD_ACTIVE_DAYS), 0) // 0 disables the activity rule
+    },
     
+    notifications: {
+        unsubscribeTokenExpire: process.env.UNSUBSCRIBE_TOKEN_EXPIRE || '365d'
+    },
+
+    weeklyDigest: {
+        cron: process.env.WEEKLY_DIGEST_CRON || '0 9 * * 1', // Mondays 09:00, while last week's board is still kept
+        batchSize: 100
+    },
+
+    mailOutbox: {
+        maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS) || 6,                       // then the mail moves to the dead-letter queue
+        baseBackoffSeconds: parseInt(process.env.MAIL_RETRY_BASE_BACKOFF_SECONDS) || 30, // doubles with every failed attempt
+        maxBackoffSeconds: parseInt(process.env.MAIL_RETRY_MAX_BACKOFF_SECONDS) || 60 * 60,
+        retryCron: process.env.MAIL_RETRY_CRON || '* * * * *',
+        batchSize: 50,
+        leaseSeconds: 60,                                                                // a delivery not finished by then is retried
+        confirmTimeoutMs: parseInt(process.env.MAIL_CONFIRM_TIMEOUT_MS) || 5000,
+        directTimeoutMs: parseInt(process.env.MAIL_DIRECT_TIMEOUT_MS) || 5000,
+        sentRetentionDays: parseInt(process.env.MAIL_OUTBOX_SENT_RETENTION_DAYS) || 7,
+        deadRetentionDays: parseInt(process.env.MAIL_OUTBOX_DEAD_RETENTION_DAYS) || 30
+    },
+
+    rateLimit: {
+        // Default for limiters that don't pick one: "sliding-window" or "token-bucket"
+        algorithm: process.env.RATE_LIMIT_ALGORITHM || 'sliding-window',
+        // Slower Redis answers fall back to per-process in-memory limits
+        redisTimeoutMs: parseInt(process.env.RATE_LIMIT_REDIS_TIMEOUT_MS) || 250
+    },
+
     redis: {
         host: isDevelopment ? process.env.LOCAL_REDIS_HOST : process.env.CLOUD_REDIS_HOST,
         port: parseInt(isDevelopment ? process.env.LOCAL_REDIS_PORT : process.env.CLOUD_REDIS_PORT) || 6379,
@@ -3,28 +3,59 @@ import { env } from "./env.js";
 
 let connection = null;
 let channel = null;
+let confirmChannel = null;
 
 const MAIL_QUEUE = "mailQueue";
+const MAIL_DEAD_LETTER_QUEUE = "mailDeadLetterQueue";
 const PARAGRAPH_QUEUE = "paragraphQueue";
 
-const connectMQ = async () => {
-  if (channel) return channel;
-
+const getConnection = async () => {
   if (!connection) {
     const url = `amqp://${env.rabbitmq.user}:${env.rabbitmq.password}@${env.rabbitmq.host}:${env.rabbitmq.port}`;
     connection = await amqp.connect(url);
     console.log("RabbitMQ connected");
+    // A dropped connection is re-opened by the next publish
+    connection.on("close", () => {
+      connection = null;
+      channel = null;
+      confirmChannel = null;
+    });
+    connection.on("error", (err) => console.error("RabbitMQ error:", err.message));
   }
+  return connection;
+};
+
+const connectMQ = async () => {
+  if (channel) return channel;
 
-  channel = await connection.createChannel();
+  const conn = await getConnection();
+  channel = await conn.createChannel();
+  channel.on("close", () => { channel = null; });
 
   await channel.assertQueue(MAIL_QUEUE, { durable: true, maxPriority: 10 });
+  await channel.assertQueue(MAIL_DEAD_LETTER_QUEUE, { durable: true });
   await channel.assertQueue(PARAGRAPH_QUEUE, { durable: true, maxPriority: 10 });
 
   return channel;
 };
 
+// Mail is published on a confirm channel, so a publish only counts once the broker has the message
+const connectConfirmChannel = async () => {
+  if (confirmChannel) return confirmChannel;
+
+  await connectMQ();
+  const conn = await getConnection();
+  confirmChannel = await conn.createConfirmChannel();
+  confirmChannel.on("close", () => { confirmChannel = null; });
+  confirmChannel.on("error", (err) => console.error("RabbitMQ confirm channel error:", err.message));
+
+  return confirmChannel;
+};
+
 const stopMQ = async () => {
+  if (confirmChannel) {
+    await confirmChannel.close();
+  }
   if (channel) {
     await channel.close();
     console.log("RabbitMQ channel closed");
@@ -34,6 +65,7 @@ const stopMQ = async () => {
     console.log("RabbitMQ connection closed");
   }
   channel = null;
+  confirmChannel = null;
   connection = null;
 };
 
@@ -49,8 +81,10 @@ const setupMQSignalHandlers = () => {
 
 export {
   connectMQ,
+  connectConfirmChannel,
   stopMQ,
   setupMQSignalHandlers,
   MAIL_QUEUE,
+  MAIL_DEAD_LETTER_QUEUE,
   PARAGRAPH_QUEUE,
 };
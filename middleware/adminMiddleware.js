@@ -0,0 +1,29 @@
+import crypto from 'crypto';
+import { env } from '../init/env.js';
+
+const forbidden = (res, error, code) => {
+    return res.status(403).json({ success: false, error, code });
+};
+
+// Admin endpoints authenticate with the shared ADMIN_API_KEY in the `X-Admin-Key` header
+// and are disabled while no key is configured
+const adminMiddleware = (req, res, next) => {
+    if (!env.admin.apiKey) {
+        return forbidden(res, 'Admin API is disabled', 'ADMIN_DISABLED');
+    }
+
+    const presented = req.headers['x-admin-key'];
+    if (!presented || typeof presented !== 'string') {
+        return forbidden(res, 'Admin key required', 'ADMIN_KEY_MISSING');
+    }
+
+    const expected = crypto.createHash('sha256').update(env.admin.apiKey).digest();
+    const actual = crypto.createHash('sha256').update(presented).digest();
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        return forbidden(res, 'Invalid admin key', 'ADMIN_KEY_INVALID');
+    }
+
+    next();
+};
+
+export default adminMiddleware;
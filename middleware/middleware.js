@@ -1,41 +1,81 @@
 import jwtHelper from '../auth/jwt.js';
+import authSessionStore from '../redis/authSession.js';
+import { env } from '../init/env.js';
+
+const unauthorized = (res, error, code) => {
+    return res.status(401).json({ success: false, error, code });
+};
+
+const getBearerToken = (req) => {
+    const header = req.headers['authorization'];
+    if (!header) return null;
+    const [scheme, value] = header.split(' ');
+    if (!/^Bearer$/i.test(scheme) || !value) return null;
+    return value.trim();
+};
+
+// Legacy `token` header: JSON with access/refresh tokens in snake_case or camelCase
+const parseLegacyTokenHeader = (req) => {
+    const raw = req.headers['token'];
+    if (!raw) return null;
+    try {
+        const parsed = JSON.parse(raw);
+        if (!parsed || typeof parsed !== 'object') return null;
+        return {
+            accessToken: parsed.access_token || parsed.accessToken || null,
+            refreshToken: parsed.refresh_token || parsed.refreshToken || null
+        };
+    } catch (e) {
+        return null;
+    }
+};
 
 const middleware = async(req,res,next)=>{
     try{
-        const token = JSON.parse(req.headers['token']);
+        const bearerToken = getBearerToken(req);
+        const legacyToken = !bearerToken && env.auth.legacyTokenHeader ? parseLegacyTokenHeader(req) : null;
+        const accessToken = bearerToken || legacyToken?.accessToken;
 
-        if(!token){
-            return res.status(401).json({ message: 'Unauthorized - No token provided' });
+        if(!accessToken){
+            return unauthorized(res, 'Unauthorized - No token provided', 'TOKEN_MISSING');
         }
-        let verification = await jwtHelper.verifyToken(token.access_token);
+
+        let verification = await jwtHelper.verifyToken(accessToken);
 
         if (!verification.valid && verification.expired) {
+            // Bearer clients renew explicitly through POST /api/users/refresh-token
+            if (!legacyToken?.refreshToken) {
+                return unauthorized(res, 'Access token expired', 'TOKEN_EXPIRED');
+            }
             try {
-                const newTokens = await jwtHelper.renewJWT(token.refresh_token);
+                const newTokens = await jwtHelper.renewJWT(legacyToken.refreshToken);
                 res.set('New-Access-Token', newTokens.accessToken);
                 res.set('New-Refresh-Token', newTokens.refreshToken);
+                verification = await jwtHelper.verifyToken(newTokens.accessToken);
             }
             catch (error) {
-                return res.status(401).json({
-                    error: 'Session expired. Please sign in again.',
-                    code: 'SESSION_EXPIRED'
-                });
+                return unauthorized(res, 'Session expired. Please sign in again.', 'SESSION_EXPIRED');
             }
         } 
-        else if (!verification.valid) {
-            return res.status(403).json({
-                error: 'Invalid token',
-                code: 'TOKEN_INVALID'
-            });
+        else if (!verification.valid || verification.decoded.type !== 'access') {
+            return unauthorized(res, 'Invalid token', 'TOKEN_INVALID');
+        }
+
+        // Access tokens stay valid only while their session exists, so logout and revocation take effect immediately
+        const sessionId = verification.decoded.sid;
+        if (!(await authSessionStore.sessionExists(sessionId))) {
+            return unauthorized(res, 'Session expired. Please sign in again.', 'SESSION_EXPIRED');
         }
 
         req.userId = verification.decoded.userId;
+        req.sessionId = sessionId;
       
         next();
     }
     catch(err){
-        return res.status(500).json({ message: 'Internal Server Error' });
+        console.error('Auth middleware error:', err);
+        return res.status(500).json({ success: false, message: 'Internal Server Error' });
     }
 }
 
-export default middleware;
\ No newline at end of file
+export default middleware;
@@ -1,4 +1,46 @@
-import { rateLimitCheck } from "../redis/rateLimiter.js";
+import { consumeRateLimits, getRateLimitKey, claimRateLimitHitLog } from "../redis/rateLimiter.js";
+import securityEventService from "../services/securityEvent.service.js";
+import getDeviceInfo from "../utils/deviceInfo.js";
+
+// What a limit is counted per:
+//   "ip"         - client IP, per route
+//   "user"       - user across every route keyed this way (IP for anonymous requests)
+//   "user-route" - user per route (IP for anonymous requests)
+const KEY_TYPES = ["ip", "user", "user-route"];
+
+const readEnvInt = (envVar, fallback) => {
+  const value = envVar ? process.env[envVar] : undefined;
+  return value ? parseInt(value, 10) : fallback;
+};
+
+const getClientIp = (req) =>
+  req.headers["x-forwarded-for"]?.split(",")[0].trim() || req.socket?.remoteAddress || req.ip || "unknown";
+
+// Key and limit of one `keys` entry. User keys need `req.userId`, so the limiter has to
+// run after the JWT middleware on authenticated routes.
+export const buildCheck = (spec, req, route, defaults) => {
+  const { by, limitEnvVar, defaultLimit } = typeof spec === "string" ? { by: spec } : spec;
+  if (!KEY_TYPES.includes(by)) {
+    throw new Error(`Unknown rate limit key type: ${by}`);
+  }
+
+  const identifier = by !== "ip" && req.userId ? `user:${req.userId}` : `ip:${getClientIp(req)}`;
+  const keyRoute = by === "user" ? "all" : route;
+
+  return {
+    key: getRateLimitKey(keyRoute, identifier),
+    limit: readEnvInt(limitEnvVar, defaultLimit ?? defaults.limit),
+    windowSeconds: defaults.windowSeconds,
+  };
+};
+
+// The limit closest to running out is the one the RateLimit-* headers describe
+const mostRestrictive = (results) =>
+  results.reduce((worst, result) =>
+    result.remaining < worst.remaining || (result.remaining === worst.remaining && result.resetSeconds > worst.resetSeconds)
+      ? result
+      : worst
+  );
 
 export const redisRateLimiter = ({
   route = "auth",
@@ -7,30 +49,49 @@ export const redisRateLimiter = ({
   windowSecondsEnvVar = "RATE_LIMIT_WINDOW_SECONDS",
   defaultWindowSeconds = 60,
   message = "Too many requests, please try again later.",
+  // "sliding-window" or "token-bucket"; RATE_LIMIT_ALGORITHM when not set
+  algorithm,
+  // Key types, or { by, limitEnvVar, defaultLimit } for a key with its own limit; all must allow the request
+  keys = ["user-route"],
 } = {}) => {
   return async (req, res, next) => {
     try {
-      const envLimit = process.env[limitEnvVar];
-      const limit = envLimit ? parseInt(envLimit, 10) : defaultLimit;
+      const defaults = {
+        limit: readEnvInt(limitEnvVar, defaultLimit),
+        windowSeconds: readEnvInt(windowSecondsEnvVar, defaultWindowSeconds),
+      };
 
-      const envWindow = process.env[windowSecondsEnvVar];
-      const windowSeconds = envWindow ? parseInt(envWindow, 10) : defaultWindowSeconds;
+      const checks = keys.map((spec) => buildCheck(spec, req, route, defaults));
+      const { allowed, results } = await consumeRateLimits(checks, algorithm);
 
-      const rawIp = req.headers["x-forwarded-for"]?.split(",")[0].trim() || req.socket?.remoteAddress || req.ip || "unknown";
-      const identifier = req.userId ? `user:${req.userId}` : `ip:${rawIp}`;
+      const headline = mostRestrictive(results);
+      res.set("RateLimit-Limit", String(headline.limit));
+      res.set("RateLimit-Remaining", String(headline.remaining));
+      res.set("RateLimit-Reset", String(headline.resetSeconds));
 
-      const { allowed, ttl } = await rateLimitCheck(identifier, route, limit, windowSeconds);
       if (!allowed) {
+        const retryAfterSeconds = Math.max(1, ...results.map((result) => result.retryAfterSeconds));
+        res.set("Retry-After", String(retryAfterSeconds));
+
+        // Logged once per exhausted key and window; anonymous hits are kept with userId null, found by IP
+        const exhausted = results.find((result) => result.retryAfterSeconds > 0) ?? headline;
+        if (await claimRateLimitHitLog(exhausted.key, defaults.windowSeconds)) {
+          await securityEventService.recordSecurityEvent(req.userId ?? null, "rate_limit_hit", getDeviceInfo(req), {
+            route,
+            method: req.method,
+            path: req.originalUrl
+          });
+        }
         return res.status(429).json({
           success: false,
           error: message,
-          retryAfterSeconds: ttl,
+          retryAfterSeconds,
         });
       }
       next();
     } catch (err) {
       console.error(`Redis rate limiter error (${route}):`, err);
-      next(); // Fail open if an unexpected error occurs
+      next(); // Only unexpected errors get here; Redis outages fall back to in-memory limits
     }
   };
 };
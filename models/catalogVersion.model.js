@@ -0,0 +1,6 @@
+import mongoose from "mongoose";
+import catalogVersionSchema from "../schemas/catalogVersion.schema.js";
+
+const CatalogVersion = mongoose.model("CatalogVersion", catalogVersionSchema, "catalogVersions");
+
+export default CatalogVersion;
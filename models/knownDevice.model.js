@@ -0,0 +1,6 @@
+import mongoose from "mongoose";
+import knownDeviceSchema from "../schemas/knownDevice.schema.js";
+
+const KnownDevice = mongoose.model("KnownDevice", knownDeviceSchema, "knownDevices");
+
+export default KnownDevice;
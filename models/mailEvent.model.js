@@ -0,0 +1,6 @@
+import mongoose from "mongoose";
+import mailEventSchema from "../schemas/mailEvent.schema.js";
+
+const MailEvent = mongoose.model("MailEvent", mailEventSchema, "mailOutbox");
+
+export default MailEvent;
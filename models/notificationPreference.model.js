@@ -0,0 +1,6 @@
+import mongoose from "mongoose";
+import notificationPreferenceSchema from "../schemas/notificationPreference.schema.js";
+
+const NotificationPreference = mongoose.model("NotificationPreference", notificationPreferenceSchema, "notificationPreferences");
+
+export default NotificationPreference;
@@ -0,0 +1,6 @@
+import mongoose from "mongoose";
+import paragraphSchema from "../schemas/paragraph.schema.js";
+
+const Paragraph = mongoose.model("Paragraph", paragraphSchema, "paragraphs");
+
+export default Paragraph;
@@ -0,0 +1,6 @@
+import mongoose from "mongoose";
+import securityEventSchema from "../schemas/securityEvent.schema.js";
+
+const SecurityEvent = mongoose.model("SecurityEvent", securityEventSchema, "securityEvents");
+
+export default SecurityEvent;
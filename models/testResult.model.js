@@ -0,0 +1,6 @@
+import mongoose from "mongoose";
+import testResultSchema from "../schemas/testResult.schema.js";
+
+const TestResult = mongoose.model("TestResult", testResultSchema, "testResults");
+
+export default TestResult;
@@ -0,0 +1,6 @@
+import mongoose from "mongoose";
+import usernameChangeSchema from "../schemas/usernameChange.schema.js";
+
+const UsernameChange = mongoose.model("UsernameChange", usernameChangeSchema, "usernameChanges");
+
+export default UsernameChange;
@@ -0,0 +1,6 @@
+import mongoose from "mongoose";
+import usernameRuleSchema from "../schemas/usernameRule.schema.js";
+
+const UsernameRule = mongoose.model("UsernameRule", usernameRuleSchema, "usernameRules");
+
+export default UsernameRule;
@@ -1,43 +1,20 @@
-import { connectMQ, MAIL_QUEUE } from "../init/queue.js";
-import { env } from "../init/env.js";
+import mailOutboxService from "../services/mailOutbox.service.js";
+import notificationPreferenceService from "../services/notificationPreference.service.js";
+import { sendDirectMail } from "./mailTransport.js";
 
-const sendDirectMail = async (mailId, type, datetime) => {
-  try {
-    const url = `${env.mailServiceUrl}/api/mail/send`;
-    console.log(`📡 Direct API Mode: Sending mail event to ${url}`);
-    const response = await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ mailId, type, datetime }),
-    });
-    if (!response.ok) {
-      console.error(`Failed to send direct mail to ${url}: ${response.statusText}`);
-      return false;
-    }
-    const data = await response.json();
-    console.log("Direct mail sent successfully:", data);
-    return true;
-  } catch (error) {
-    console.error("Error sending direct mail:", error);
+// Every mail goes through the outbox: it is stored first, then published to MAIL_QUEUE
+// with publisher confirms (or posted to the mail service in direct mode) and retried
+// with backoff until it is delivered or moves to the dead-letter queue.
+// Mail of a category the recipient turned off is dropped before it reaches the outbox.
+// Resolves true when the first attempt succeeded. Mail with a code or link passes the
+// code's lifetime as `expiresInSeconds`, so it is not retried once the code has expired.
+const sendMail = async (mailId, type, datetime, priority = 5, { expiresInSeconds } = {}) => {
+  const { allowed, payload, category } = await notificationPreferenceService.applyPreferences(mailId, type, datetime);
+  if (!allowed) {
+    console.log(`Mail ${type} to ${mailId} skipped: ${category} notifications are off`);
     return false;
   }
-};
-
-const sendMail = async (mailId, type, datetime, priority = 5) => {
-  if (env.isQueueEnabled) {
-    const ch = await connectMQ();
-    const message = { mailId, type, datetime };
-    ch.sendToQueue(MAIL_QUEUE, Buffer.from(JSON.stringify(message)), {
-      persistent: true,
-      priority,
-    });
-    console.log("Message pushed to mailQueue:", message);
-  } else {
-    await sendDirectMail(mailId, type, datetime);
-  }
+  return mailOutboxService.enqueueMail(mailId, type, payload, priority, { expiresInSeconds });
 };
 
 export { sendMail, sendDirectMail };
-
-
-
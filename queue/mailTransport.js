@@ -0,0 +1,63 @@
+import { connectConfirmChannel, MAIL_QUEUE, MAIL_DEAD_LETTER_QUEUE } from "../init/queue.js";
+import { env } from "../init/env.js";
+
+// Resolves once the broker confirms the message, rejects on a nack or after the timeout
+const publishConfirmed = async (queue, message, options) => {
+  const ch = await connectConfirmChannel();
+  let timer;
+  const confirmed = new Promise((resolve, reject) => {
+    ch.sendToQueue(queue, Buffer.from(JSON.stringify(message)), options, (err) => {
+      if (err) reject(new Error(`RabbitMQ did not accept the message: ${err.message || err}`));
+      else resolve();
+    });
+  });
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`RabbitMQ did not confirm within ${env.mailOutbox.confirmTimeoutMs}ms`)),
+      env.mailOutbox.confirmTimeoutMs
+    );
+  });
+  try {
+    await Promise.race([confirmed, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const publishMail = async (mailId, type, datetime, priority = 5) => {
+  await publishConfirmed(MAIL_QUEUE, { mailId, type, datetime }, { persistent: true, priority });
+};
+
+// Throws on a non-2xx answer, a network error or a timeout, so the outbox can retry
+const sendDirectMail = async (mailId, type, datetime) => {
+  const url = `${env.mailServiceUrl}/api/mail/send`;
+  console.log(`📡 Direct API Mode: Sending mail event to ${url}`);
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ mailId, type, datetime }),
+    signal: AbortSignal.timeout(env.mailOutbox.directTimeoutMs),
+  });
+  if (!response.ok) {
+    throw new Error(`Mail service answered ${response.status} ${response.statusText}`);
+  }
+  return true;
+};
+
+// Copy of a mail that ran out of attempts, for whoever consumes the dead-letter queue
+const publishDeadLetter = async (event) => {
+  await publishConfirmed(
+    MAIL_DEAD_LETTER_QUEUE,
+    {
+      eventId: String(event._id),
+      mailId: event.mailId,
+      type: event.type,
+      attempts: event.attempts,
+      lastError: event.lastError,
+      deadAt: event.deadAt,
+    },
+    { persistent: true }
+  );
+};
+
+export { publishMail, sendDirectMail, publishDeadLetter };
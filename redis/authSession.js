@@ -0,0 +1,159 @@
+import { connectRedis } from "../init/redis.js";
+
+// Seconds a just-rotated refresh token is tolerated (concurrent requests) before its reuse counts as theft
+const ROTATION_GRACE_SECONDS = 30;
+
+const getSessionKey = (sessionId) => {
+  const prefix = process.env.REDIS_SESSION_KEY_PREFIX || "typo:session:";
+  return `${prefix}${sessionId}`;
+};
+
+const getUserSessionsKey = (userId) => {
+  const prefix = process.env.REDIS_USER_SESSIONS_KEY_PREFIX || "typo:usersessions:";
+  return `${prefix}${userId}`;
+};
+
+// Compare-and-rotate of the refresh token id of a session.
+// KEYS: [session]  ARGV: [presentedJti, newJti, nowMs, graceMs, ttlSeconds]
+// Returns "rotated", "stale" (previous token inside the grace window), "reuse" or "missing".
+const ROTATE_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then
+  return 'missing'
+end
+local current = redis.call('HGET', KEYS[1], 'currentJti')
+if current == ARGV[1] then
+  redis.call('HSET', KEYS[1], 'currentJti', ARGV[2], 'previousJti', ARGV[1], 'rotatedAt', ARGV[3], 'lastUsedAt', ARGV[3])
+  redis.call('EXPIRE', KEYS[1], tonumber(ARGV[5]))
+  return 'rotated'
+end
+local previous = redis.call('HGET', KEYS[1], 'previousJti')
+local rotatedAt = tonumber(redis.call('HGET', KEYS[1], 'rotatedAt') or '0')
+if previous == ARGV[1] and tonumber(ARGV[3]) - rotatedAt <= tonumber(ARGV[4]) then
+  return 'stale'
+end
+return 'reuse'
+`;
+
+const parseSession = (sessionId, raw) => {
+  if (!raw || !raw.userId) return null;
+  let deviceInfo = null;
+  try {
+    deviceInfo = raw.deviceInfo ? JSON.parse(raw.deviceInfo) : null;
+  } catch (e) {
+    deviceInfo = null;
+  }
+  return {
+    sessionId,
+    userId: raw.userId,
+    rememberMe: raw.rememberMe === "true",
+    createdAt: Number(raw.createdAt),
+    lastUsedAt: Number(raw.lastUsedAt),
+    currentJti: raw.currentJti,
+    deviceInfo,
+  };
+};
+
+const createSession = async (sessionId, { userId, jti, rememberMe = false, deviceInfo = null }, ttlSeconds) => {
+  const redis = await connectRedis();
+  const key = getSessionKey(sessionId);
+  const now = Date.now();
+  await redis
+    .multi()
+    .hset(key, {
+      userId,
+      currentJti: jti,
+      rememberMe: String(rememberMe),
+      createdAt: now,
+      lastUsedAt: now,
+      deviceInfo: JSON.stringify(deviceInfo),
+    })
+    .expire(key, ttlSeconds)
+    .sadd(getUserSessionsKey(userId), sessionId)
+    .exec();
+};
+
+const getSession = async (sessionId) => {
+  const redis = await connectRedis();
+  const raw = await redis.hgetall(getSessionKey(sessionId));
+  return parseSession(sessionId, raw);
+};
+
+const sessionExists = async (sessionId) => {
+  if (!sessionId) return false;
+  const redis = await connectRedis();
+  const exists = await redis.exists(getSessionKey(sessionId));
+  return exists === 1;
+};
+
+const rotateSession = async (sessionId, presentedJti, newJti, ttlSeconds) => {
+  const redis = await connectRedis();
+  return redis.eval(
+    ROTATE_SCRIPT,
+    1,
+    getSessionKey(sessionId),
+    presentedJti,
+    newJti,
+    Date.now(),
+    ROTATION_GRACE_SECONDS * 1000,
+    ttlSeconds
+  );
+};
+
+const deleteSession = async (sessionId, userId) => {
+  const redis = await connectRedis();
+  await redis
+    .multi()
+    .del(getSessionKey(sessionId))
+    .srem(getUserSessionsKey(userId), sessionId)
+    .exec();
+};
+
+// Active sessions of a user; ids whose session hash has expired are pruned from the index
+const listSessions = async (userId) => {
+  const redis = await connectRedis();
+  const indexKey = getUserSessionsKey(userId);
+  const sessionIds = await redis.smembers(indexKey);
+  if (!sessionIds.length) return [];
+
+  const pipeline = redis.pipeline();
+  sessionIds.forEach((sessionId) => pipeline.hgetall(getSessionKey(sessionId)));
+  const results = await pipeline.exec();
+
+  const sessions = [];
+  const expired = [];
+  results.forEach(([err, raw], i) => {
+    const session = err ? null : parseSession(sessionIds[i], raw);
+    if (session) sessions.push(session);
+    else expired.push(sessionIds[i]);
+  });
+
+  if (expired.length) await redis.srem(indexKey, ...expired);
+  return sessions;
+};
+
+const deleteAllSessions = async (userId, { exceptSessionId = null } = {}) => {
+  const redis = await connectRedis();
+  const indexKey = getUserSessionsKey(userId);
+  const sessionIds = (await redis.smembers(indexKey)).filter((id) => id !== exceptSessionId);
+  if (!sessionIds.length) return 0;
+
+  await redis
+    .multi()
+    .del(...sessionIds.map(getSessionKey))
+    .srem(indexKey, ...sessionIds)
+    .exec();
+  return sessionIds.length;
+};
+
+const authSessionStore = {
+  ROTATION_GRACE_SECONDS,
+  createSession,
+  getSession,
+  sessionExists,
+  rotateSession,
+  deleteSession,
+  listSessions,
+  deleteAllSessions,
+};
+
+export default authSessionStore;
@@ -0,0 +1,142 @@
+import { connectRedis } from "../init/redis.js";
+
+const getLeaderboardKey = (period, periodId, mode) => {
+  const prefix = process.env.REDIS_LEADERBOARD_KEY_PREFIX || "typo:leaderboard:";
+  return `${prefix}${period}:${periodId}:${mode}`;
+};
+
+const getMetaKey = () => {
+  const prefix = process.env.REDIS_LEADERBOARD_KEY_PREFIX || "typo:leaderboard:";
+  return `${prefix}meta`;
+};
+
+// Hash of member -> JSON details of the run that produced the member's score
+const getDetailsKey = (leaderboardKey) => `${leaderboardKey}:details`;
+
+// Only raises a member's score, and keeps the details hash in step with the sorted set.
+// KEYS: [board, details]  ARGV: [score, member, detailsJson, ttlSeconds]
+const RECORD_SCORE_SCRIPT = `
+local current = redis.call('ZSCORE', KEYS[1], ARGV[2])
+if current and tonumber(current) >= tonumber(ARGV[1]) then
+  return 0
+end
+redis.call('ZADD', KEYS[1], ARGV[1], ARGV[2])
+redis.call('HSET', KEYS[2], ARGV[2], ARGV[3])
+local ttl = tonumber(ARGV[4])
+if ttl > 0 then
+  redis.call('EXPIRE', KEYS[1], ttl)
+  redis.call('EXPIRE', KEYS[2], ttl)
+end
+return 1
+`;
+
+const runPipeline = async (pipeline) => {
+  const results = await pipeline.exec();
+  const failed = results.find(([err]) => err);
+  if (failed) throw failed[0];
+  return results.map(([, value]) => value);
+};
+
+// entries: [{ key, member, score, details, ttlSeconds }]
+const recordScores = async (entries) => {
+  if (!entries.length) return [];
+  const redis = await connectRedis();
+  const pipeline = redis.pipeline();
+  for (const { key, member, score, details, ttlSeconds = 0 } of entries) {
+    pipeline.eval(RECORD_SCORE_SCRIPT, 2, key, getDetailsKey(key), score, member, JSON.stringify(details), ttlSeconds);
+  }
+  return runPipeline(pipeline);
+};
+
+// Replaces a whole board in one transaction. entries: [{ member, score, details }]
+const replaceBoard = async (key, entries, ttlSeconds = 0) => {
+  const redis = await connectRedis();
+  const detailsKey = getDetailsKey(key);
+  const multi = redis.multi();
+  multi.del(key, detailsKey);
+  if (entries.length) {
+    multi.zadd(key, ...entries.flatMap(({ member, score }) => [score, member]));
+    multi.hset(detailsKey, ...entries.flatMap(({ member, details }) => [member, JSON.stringify(details)]));
+    if (ttlSeconds > 0) {
+      multi.expire(key, ttlSeconds);
+      multi.expire(detailsKey, ttlSeconds);
+    }
+  }
+  return runPipeline(multi);
+};
+
+const getRange = async (key, start, stop) => {
+  const redis = await connectRedis();
+  const raw = await redis.zrevrange(key, start, stop, "WITHSCORES");
+  const entries = [];
+  for (let i = 0; i < raw.length; i += 2) {
+    entries.push({ member: raw[i], score: Number(raw[i + 1]) });
+  }
+  return entries;
+};
+
+const getRank = async (key, member) => {
+  const redis = await connectRedis();
+  return redis.zrevrank(key, member);
+};
+
+const getCount = async (key) => {
+  const redis = await connectRedis();
+  return redis.zcard(key);
+};
+
+const getDetails = async (key, members) => {
+  if (!members.length) return [];
+  const redis = await connectRedis();
+  const raw = await redis.hmget(getDetailsKey(key), ...members);
+  return raw.map((value) => {
+    if (!value) return null;
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return null;
+    }
+  });
+};
+
+const removeMember = async (keys, member) => {
+  const redis = await connectRedis();
+  const pipeline = redis.pipeline();
+  for (const key of keys) {
+    pipeline.zrem(key, member);
+    pipeline.hdel(getDetailsKey(key), member);
+  }
+  return runPipeline(pipeline);
+};
+
+const boardExists = async (key) => {
+  const redis = await connectRedis();
+  const exists = await redis.exists(key);
+  return exists === 1;
+};
+
+const getScoringSignature = async () => {
+  const redis = await connectRedis();
+  return redis.hget(getMetaKey(), "scoring");
+};
+
+const setScoringSignature = async (signature) => {
+  const redis = await connectRedis();
+  await redis.hset(getMetaKey(), "scoring", signature);
+};
+
+const leaderboardStore = {
+  getLeaderboardKey,
+  recordScores,
+  replaceBoard,
+  getRange,
+  getRank,
+  getCount,
+  getDetails,
+  removeMember,
+  boardExists,
+  getScoringSignature,
+  setScoringSignature,
+};
+
+export default leaderboardStore;
@@ -0,0 +1,86 @@
+import crypto from "crypto";
+import { connectRedis } from "../init/redis.js";
+import { env } from "../init/env.js";
+
+const getFailureKey = (userId) => {
+  const prefix = process.env.REDIS_LOGIN_FAILURE_KEY_PREFIX || "typo:loginfail:";
+  return `${prefix}${userId}`;
+};
+
+const getLockKey = (userId) => {
+  const prefix = process.env.REDIS_LOGIN_LOCK_KEY_PREFIX || "typo:loginlock:";
+  return `${prefix}${userId}`;
+};
+
+const getUnlockKey = (token) => {
+  const prefix = process.env.REDIS_UNLOCK_TOKEN_KEY_PREFIX || "typo:unlock:";
+  return `${prefix}${token}`;
+};
+
+// Counts a failed sign-in and locks the account once the threshold is reached.
+// Every further failure doubles the lock, up to the maximum.
+// KEYS: [failures, lock]  ARGV: [windowSeconds, maxFailures, baseLockSeconds, maxLockSeconds]
+// Returns [failures, lockSeconds]; lockSeconds is 0 while below the threshold.
+const RECORD_FAILURE_SCRIPT = `
+local failures = redis.call('INCR', KEYS[1])
+redis.call('EXPIRE', KEYS[1], tonumber(ARGV[1]))
+local threshold = tonumber(ARGV[2])
+if failures < threshold then
+  return {failures, 0}
+end
+local lockSeconds = tonumber(ARGV[3]) * (2 ^ (failures - threshold))
+lockSeconds = math.min(lockSeconds, tonumber(ARGV[4]))
+redis.call('SET', KEYS[2], failures, 'EX', lockSeconds)
+return {failures, lockSeconds}
+`;
+
+// Seconds left on the account's lock, or 0
+const getLockSeconds = async (userId) => {
+  const redis = await connectRedis();
+  const ttl = await redis.ttl(getLockKey(userId));
+  return ttl > 0 ? ttl : 0;
+};
+
+const recordFailure = async (userId) => {
+  const redis = await connectRedis();
+  const { failureWindowSeconds, maxFailures, baseLockSeconds, maxLockSeconds } = env.loginProtection;
+  const [failures, lockSeconds] = await redis.eval(
+    RECORD_FAILURE_SCRIPT,
+    2,
+    getFailureKey(userId),
+    getLockKey(userId),
+    failureWindowSeconds,
+    maxFailures,
+    baseLockSeconds,
+    maxLockSeconds
+  );
+  return { failures: Number(failures), lockSeconds: Number(lockSeconds) };
+};
+
+const clearFailures = async (userId) => {
+  const redis = await connectRedis();
+  await redis.del(getFailureKey(userId), getLockKey(userId));
+};
+
+// Single-use token for the unlock link sent with the suspicious-activity mail
+const createUnlockToken = async (userId) => {
+  const redis = await connectRedis();
+  const token = crypto.randomBytes(32).toString("hex");
+  await redis.set(getUnlockKey(token), String(userId), "EX", env.loginProtection.unlockTokenTtlSeconds);
+  return token;
+};
+
+const consumeUnlockToken = async (token) => {
+  const redis = await connectRedis();
+  return redis.getdel(getUnlockKey(token));
+};
+
+const loginAttemptStore = {
+  getLockSeconds,
+  recordFailure,
+  clearFailures,
+  createUnlockToken,
+  consumeUnlockToken,
+};
+
+export default loginAttemptStore;
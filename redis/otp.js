@@ -1,68 +1,101 @@
 import { connectRedis } from "../init/redis.js";
+import { env } from "../init/env.js";
+import { rateLimitCheck } from "./rateLimiter.js";
 
 const OTP_TTL_SECONDS = 120;
 const MAX_ATTEMPTS = 3;
 
-const getOtpKey = (email) => {
-  const prefix = process.env.REDIS_OTP_KEY_PREFIX || "typo:otp:";
-  return `${prefix}${email}`;
-};
+// Each OTP purpose gets its own key namespace so codes can't be used across flows
+const createOtpStore = ({
+  prefixEnvVar = "REDIS_OTP_KEY_PREFIX",
+  defaultPrefix = "typo:otp:",
+  ttlSeconds: defaultTtlSeconds = OTP_TTL_SECONDS,
+  maxAttempts = MAX_ATTEMPTS,
+} = {}) => {
+  const getOtpKey = (email) => {
+    const prefix = process.env[prefixEnvVar] || defaultPrefix;
+    return `${prefix}${email}`;
+  };
 
+  const setOtp = async (email, otp, ttlSeconds = defaultTtlSeconds, extra = {}) => {
+    const redis = await connectRedis();
+    const key = getOtpKey(email);
+    const payload = {
+      ...extra,
+      otp,
+      attempts: 0,
+    };
+    await redis.set(key, JSON.stringify(payload), "EX", ttlSeconds);
+    return payload;
+  };
 
-const setOtp = async (email, otp, ttlSeconds = OTP_TTL_SECONDS) => {
-  const redis = await connectRedis();
-  const key = getOtpKey(email);
-  const payload = {
-    otp,
-    attempts: 0,
+  const getOtp = async (email) => {
+    const redis = await connectRedis();
+    const key = getOtpKey(email);
+    const raw = await redis.get(key);
+    if (!raw) return null;
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      return null;
+    }
   };
-  await redis.set(key, JSON.stringify(payload), "EX", ttlSeconds);
-  return payload;
-};
 
-const getOtp = async (email) => {
-  const redis = await connectRedis();
-  const key = getOtpKey(email);
-  const raw = await redis.get(key);
-  if (!raw) return null;
-  try {
-    return JSON.parse(raw);
-  } catch (e) {
-    return null;
-  }
-};
+  const incrementOtpAttempts = async (email) => {
+    const redis = await connectRedis();
+    const key = getOtpKey(email);
+    const raw = await redis.get(key);
+    if (!raw) return null;
+    let payload = null;
+    try {
+      payload = JSON.parse(raw);
+    } catch (e) {
+      return null;
+    }
+    payload.attempts = (payload.attempts || 0) + 1;
+    const ttl = await redis.ttl(key);
+    const ttlSeconds = ttl > 0 ? ttl : defaultTtlSeconds;
+    await redis.set(key, JSON.stringify(payload), "EX", ttlSeconds);
+    return payload;
+  };
 
-const incrementOtpAttempts = async (email) => {
-  const redis = await connectRedis();
-  const key = getOtpKey(email);
-  const raw = await redis.get(key);
-  if (!raw) return null;
-  let payload = null;
-  try {
-    payload = JSON.parse(raw);
-  } catch (e) {
-    return null;
-  }
-  payload.attempts = (payload.attempts || 0) + 1;
-  const ttl = await redis.ttl(key);
-  const ttlSeconds = ttl > 0 ? ttl : OTP_TTL_SECONDS;
-  await redis.set(key, JSON.stringify(payload), "EX", ttlSeconds);
-  return payload;
-};
+  const deleteOtp = async (email) => {
+    const redis = await connectRedis();
+    const key = getOtpKey(email);
+    await redis.del(key);
+  };
 
-const deleteOtp = async (email) => {
-  const redis = await connectRedis();
-  const key = getOtpKey(email);
-  await redis.del(key);
+  return {
+    OTP_TTL_SECONDS: defaultTtlSeconds,
+    MAX_ATTEMPTS: maxAttempts,
+    setOtp,
+    getOtp,
+    incrementOtpAttempts,
+    deleteOtp,
+  };
 };
 
-const otpStore = {
-  OTP_TTL_SECONDS,
-  MAX_ATTEMPTS,
-  setOtp,
-  getOtp,
-  incrementOtpAttempts,
-  deleteOtp,
+const otpStore = createOtpStore();
+
+// Email verification codes are also sent as a link, so they live longer than reset OTPs
+const emailVerificationStore = createOtpStore({
+  prefixEnvVar: "REDIS_EMAIL_VERIFY_KEY_PREFIX",
+  defaultPrefix: "typo:otp:verify:",
+  ttlSeconds: 24 * 60 * 60,
+  maxAttempts: 5,
+});
+
+// Pending email changes are keyed by user id; the new address travels in the payload
+const emailChangeStore = createOtpStore({
+  prefixEnvVar: "REDIS_EMAIL_CHANGE_KEY_PREFIX",
+  defaultPrefix: "typo:otp:email-change:",
+  ttlSeconds: 10 * 60,
+});
+
+// Caps how many codes of any kind one address can be sent per hour, whatever IPs ask for them
+const checkOtpIssuance = async (email) => {
+  return rateLimitCheck(`email:${email}`, "otp-issue", env.loginProtection.otpPerEmailPerHour, 3600);
 };
 
+export { createOtpStore, emailVerificationStore, emailChangeStore, checkOtpIssuance };
 export default otpStore;
@@ -1,30 +1,186 @@
+import crypto from "crypto";
 import { connectRedis } from "../init/redis.js";
+import { env } from "../init/env.js";
+import memoryRateLimiter from "../utils/memoryRateLimiter.js";
 
-export const rateLimitCheck = async (identifier, route = "global", limit = 60, windowSeconds = 60) => {
-  if (!identifier) return { allowed: true, ttl: 0 };
+const ALGORITHMS = ["sliding-window", "token-bucket"];
+
+// Both scripts check every key before counting the request on any of them, so a
+// request rejected by one limit does not use up the others. Time comes from the
+// Redis server, so every app instance sees the same clock.
+// KEYS: the limit keys  ARGV: limit and window (ms) per key, then a unique request id
+// Returns: allowed, then remaining, resetMs and retryAfterMs per key
+
+// Sliding log: one sorted-set member per accepted request within the window
+const SLIDING_WINDOW_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local n = #KEYS
+local counts, resets = {}, {}
+local allowed = 1
+for i = 1, n do
+  local limit = tonumber(ARGV[2 * i - 1])
+  local window = tonumber(ARGV[2 * i])
+  redis.call('ZREMRANGEBYSCORE', KEYS[i], '-inf', now - window)
+  counts[i] = redis.call('ZCARD', KEYS[i])
+  local oldest = redis.call('ZRANGE', KEYS[i], 0, 0, 'WITHSCORES')
+  resets[i] = oldest[2] and (tonumber(oldest[2]) + window - now) or window
+  if counts[i] >= limit then allowed = 0 end
+end
+local out = { allowed }
+for i = 1, n do
+  local limit = tonumber(ARGV[2 * i - 1])
+  local window = tonumber(ARGV[2 * i])
+  if allowed == 1 then
+    redis.call('ZADD', KEYS[i], now, ARGV[2 * n + 1])
+    redis.call('PEXPIRE', KEYS[i], window)
+    counts[i] = counts[i] + 1
+    if counts[i] == 1 then resets[i] = window end
+  end
+  local retry = 0
+  if allowed == 0 and counts[i] >= limit then retry = resets[i] end
+  table.insert(out, math.max(limit - counts[i], 0))
+  table.insert(out, resets[i])
+  table.insert(out, retry)
+end
+return out
+`;
+
+// Token bucket: holds up to `limit` tokens and refills `limit` per window
+const TOKEN_BUCKET_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local n = #KEYS
+local tokens = {}
+local allowed = 1
+for i = 1, n do
+  local limit = tonumber(ARGV[2 * i - 1])
+  local rate = limit / tonumber(ARGV[2 * i])
+  local state = redis.call('HMGET', KEYS[i], 'tokens', 'updatedAt')
+  local stored = tonumber(state[1]) or limit
+  local updatedAt = tonumber(state[2]) or now
+  tokens[i] = math.min(limit, stored + math.max(0, now - updatedAt) * rate)
+  if tokens[i] < 1 then allowed = 0 end
+end
+local out = { allowed }
+for i = 1, n do
+  local limit = tonumber(ARGV[2 * i - 1])
+  local rate = limit / tonumber(ARGV[2 * i])
+  if allowed == 1 then tokens[i] = tokens[i] - 1 end
+  local reset = math.ceil((limit - tokens[i]) / rate)
+  redis.call('HSET', KEYS[i], 'tokens', tostring(tokens[i]), 'updatedAt', now)
+  redis.call('PEXPIRE', KEYS[i], math.max(reset, 1))
+  local retry = 0
+  if tokens[i] < 1 then retry = math.ceil((1 - tokens[i]) / rate) end
+  table.insert(out, math.floor(tokens[i]))
+  table.insert(out, reset)
+  table.insert(out, retry)
+end
+return out
+`;
+
+let lastFallbackLogAt = 0;
+
+const getRateLimitKey = (route, identifier) => {
   const cleanIdentifier = String(identifier).trim().replace(/[^a-zA-Z0-9_.:-]/g, "");
   const prefix = process.env.REDIS_RATE_LIMIT_KEY_PREFIX || "typo:ratelimit:";
-  const key = `${prefix}${route}:${cleanIdentifier}`;
+  return `${prefix}${route}:${cleanIdentifier}`;
+};
 
-  try {
-    const redis = await connectRedis();
-    if (!redis) return { allowed: true, ttl: 0 };
+// Gives up on Redis after `ms`, e.g. while ioredis queues commands during a reconnect
+const withTimeout = (promise, ms) => {
+  promise.catch(() => {});
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Redis did not answer within ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
 
-    const newCount = await redis.incr(key);
-    if (newCount === 1) {
-      await redis.expire(key, windowSeconds);
-    }
-    let ttl = await redis.ttl(key);
-    if (ttl < 0) {
-      await redis.expire(key, windowSeconds);
-      ttl = windowSeconds;
+const consumeRedis = async (checks, algorithm) => {
+  const redis = await connectRedis();
+  const script = algorithm === "token-bucket" ? TOKEN_BUCKET_SCRIPT : SLIDING_WINDOW_SCRIPT;
+  const reply = await redis.eval(
+    script,
+    checks.length,
+    ...checks.map(({ key }) => key),
+    ...checks.flatMap(({ limit, windowMs }) => [limit, windowMs]),
+    crypto.randomUUID()
+  );
+
+  return {
+    allowed: reply[0] === 1,
+    results: checks.map(({ limit }, i) => ({
+      limit,
+      remaining: reply[1 + i * 3],
+      resetMs: reply[2 + i * 3],
+      retryAfterMs: reply[3 + i * 3],
+    })),
+  };
+};
+
+// Counts one request against every check at once. checks: [{ key, limit, windowSeconds }].
+// Falls back to per-process counting while Redis is unreachable rather than letting everything through.
+export const consumeRateLimits = async (checks, algorithm = env.rateLimit.algorithm) => {
+  const resolvedAlgorithm = ALGORITHMS.includes(algorithm) ? algorithm : "sliding-window";
+  const normalized = checks.map(({ key, limit, windowSeconds }) => ({
+    key,
+    limit,
+    windowMs: windowSeconds * 1000,
+  }));
+
+  let outcome;
+  try {
+    outcome = await withTimeout(consumeRedis(normalized, resolvedAlgorithm), env.rateLimit.redisTimeoutMs);
+  } catch (err) {
+    // One log line per minute is enough while Redis is down
+    if (Date.now() - lastFallbackLogAt > 60 * 1000) {
+      lastFallbackLogAt = Date.now();
+      console.error("Redis rate limit check error, using in-memory limits:", err && err.message ? err.message : err);
     }
-    return {
-      allowed: newCount <= limit,
-      ttl: ttl > 0 ? ttl : windowSeconds,
-    };
+    outcome = memoryRateLimiter.consume(normalized, resolvedAlgorithm);
+  }
+
+  return {
+    allowed: outcome.allowed,
+    results: outcome.results.map(({ limit, remaining, resetMs, retryAfterMs }, i) => ({
+      key: normalized[i].key,
+      limit,
+      remaining,
+      resetSeconds: Math.ceil(resetMs / 1000),
+      retryAfterSeconds: Math.ceil(retryAfterMs / 1000),
+    })),
+  };
+};
+
+// Single-key check for callers outside the middleware, e.g. the OTP issuance cap
+export const rateLimitCheck = async (identifier, route = "global", limit = 60, windowSeconds = 60, algorithm) => {
+  if (!identifier) return { allowed: true, ttl: 0 };
+  const { allowed, results } = await consumeRateLimits(
+    [{ key: getRateLimitKey(route, identifier), limit, windowSeconds }],
+    algorithm
+  );
+  const [result] = results;
+  return {
+    allowed,
+    ttl: allowed ? result.resetSeconds : Math.max(result.retryAfterSeconds, 1),
+    remaining: result.remaining,
+  };
+};
+
+// Claims the single security log entry a limit key gets per window, so a flood of
+// rejected requests costs one write. False while Redis is unreachable.
+export const claimRateLimitHitLog = async (key, windowSeconds) => {
+  try {
+    const redis = await connectRedis();
+    const reply = await withTimeout(
+      redis.set(`${key}:logged`, "1", "EX", Math.max(1, windowSeconds), "NX"),
+      env.rateLimit.redisTimeoutMs
+    );
+    return reply === "OK";
   } catch (err) {
-    console.error(`Redis rate limit check error (${route}):`, err && err.message ? err.message : err);
-    return { allowed: true, ttl: 0 };
+    return false;
   }
 };
+
+export { ALGORITHMS, getRateLimitKey };
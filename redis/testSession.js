@@ -0,0 +1,34 @@
+import { connectRedis } from "../init/redis.js";
+import { env } from "../init/env.js";
+
+const getTestSessionKey = (sessionId) => {
+  const prefix = process.env.REDIS_TEST_SESSION_KEY_PREFIX || "typo:testsession:";
+  return `${prefix}${sessionId}`;
+};
+
+const setTestSession = async (sessionId, payload, ttlSeconds = env.test.sessionTtlSeconds) => {
+  const redis = await connectRedis();
+  const key = getTestSessionKey(sessionId);
+  await redis.set(key, JSON.stringify(payload), "EX", ttlSeconds);
+  return payload;
+};
+
+// Reads and deletes in one round trip so a session can only be submitted once
+const consumeTestSession = async (sessionId) => {
+  const redis = await connectRedis();
+  const key = getTestSessionKey(sessionId);
+  const raw = await redis.getdel(key);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return null;
+  }
+};
+
+const testSessionStore = {
+  setTestSession,
+  consumeTestSession,
+};
+
+export default testSessionStore;
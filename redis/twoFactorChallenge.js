@@ -0,0 +1,56 @@
+import { connectRedis } from "../init/redis.js";
+import { env } from "../init/env.js";
+
+const MAX_ATTEMPTS = 5;
+
+const getChallengeKey = (challengeId) => {
+  const prefix = process.env.REDIS_TWO_FACTOR_CHALLENGE_KEY_PREFIX || "typo:2fa:challenge:";
+  return `${prefix}${challengeId}`;
+};
+
+const setChallenge = async (challengeId, payload, ttlSeconds = env.twoFactor.challengeTtlSeconds) => {
+  const redis = await connectRedis();
+  const key = getChallengeKey(challengeId);
+  const value = { ...payload, attempts: 0 };
+  await redis.set(key, JSON.stringify(value), "EX", ttlSeconds);
+  return value;
+};
+
+const getChallenge = async (challengeId) => {
+  const redis = await connectRedis();
+  const raw = await redis.get(getChallengeKey(challengeId));
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return null;
+  }
+};
+
+// Counts a wrong code without extending the challenge's lifetime
+const incrementChallengeAttempts = async (challengeId) => {
+  const redis = await connectRedis();
+  const key = getChallengeKey(challengeId);
+  const challenge = await getChallenge(challengeId);
+  if (!challenge) return null;
+  challenge.attempts = (challenge.attempts || 0) + 1;
+  await redis.set(key, JSON.stringify(challenge), "KEEPTTL");
+  return challenge;
+};
+
+// Deletes the challenge; only the caller that actually removed it may complete the login
+const consumeChallenge = async (challengeId) => {
+  const redis = await connectRedis();
+  const deleted = await redis.del(getChallengeKey(challengeId));
+  return deleted === 1;
+};
+
+const twoFactorChallengeStore = {
+  MAX_ATTEMPTS,
+  setChallenge,
+  getChallenge,
+  incrementChallengeAttempts,
+  consumeChallenge,
+};
+
+export default twoFactorChallengeStore;
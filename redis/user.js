@@ -5,10 +5,6 @@ const getUsernameKey = (username) => {
   return `${prefix}${username}`;
 };
 
-const getLeaderboardKey = () => {
-  return process.env.REDIS_LEADERBOARD_KEY || "typo:leaderboard";
-};
-
 const isUsernamePresent = async (username) => {
   const redis = await connectRedis();
   const key = getUsernameKey(username);
@@ -30,36 +26,8 @@ const deleteUsernameKey = async (username) => {
   console.log(`Deleted key: ${key}`);
 };
 
-//provided array (of objects) under key `typo:leaderboard`.
-const setLeaderboard = async (arrayValue) => {
-  const redis = await connectRedis();
-  const key = getLeaderboardKey();
-  if (!Array.isArray(arrayValue)) {
-    throw new Error('Leaderboard value must be an array');
-  }
-  await redis.set(key, JSON.stringify(arrayValue));
-  return arrayValue;
-};
-
-const getLeaderboard = async () => {
-  const redis = await connectRedis();
-  const key = getLeaderboardKey();
-  const raw = await redis.get(key);
-  if (!raw) return [];
-  try {
-    const arr = JSON.parse(raw);
-    return Array.isArray(arr) ? arr : [];
-  } catch (e) {
-    return [];
-  }
-};
-
-
-
 export {
   isUsernamePresent,
   setUsername,
   deleteUsernameKey,
-  setLeaderboard,
-  getLeaderboard,
 };
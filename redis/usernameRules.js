@@ -0,0 +1,33 @@
+import { connectRedis } from "../init/redis.js";
+import { env } from "../init/env.js";
+
+const getRulesKey = () => process.env.REDIS_USERNAME_RULES_KEY || "typo:username-rules";
+
+const getCachedRules = async () => {
+  const redis = await connectRedis();
+  const raw = await redis.get(getRulesKey());
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return null;
+  }
+};
+
+const setCachedRules = async (rules, ttlSeconds = env.usernameBlocklist.cacheTtlSeconds) => {
+  const redis = await connectRedis();
+  await redis.set(getRulesKey(), JSON.stringify(rules), "EX", ttlSeconds);
+};
+
+const clearCachedRules = async () => {
+  const redis = await connectRedis();
+  await redis.del(getRulesKey());
+};
+
+const usernameRulesStore = {
+  getCachedRules,
+  setCachedRules,
+  clearCachedRules,
+};
+
+export default usernameRulesStore;
@@ -0,0 +1,30 @@
+import { connectRedis } from "../init/redis.js";
+
+// A week's set outlives the week, so a late or repeated run can't send a digest twice
+const SENT_TTL_SECONDS = 14 * 24 * 60 * 60;
+
+const getDigestKey = (weekId) => {
+  const prefix = process.env.REDIS_WEEKLY_DIGEST_KEY_PREFIX || "typo:digest:";
+  return `${prefix}${weekId}`;
+};
+
+// Resolves true when the user had no digest for that week yet. Every instance runs
+// the digest job, so the first to claim a user sends their mail.
+const claimDigest = async (weekId, userId) => {
+  const redis = await connectRedis();
+  const key = getDigestKey(weekId);
+  const [[, added]] = await redis.multi().sadd(key, String(userId)).expire(key, SENT_TTL_SECONDS).exec();
+  return added === 1;
+};
+
+const releaseDigest = async (weekId, userId) => {
+  const redis = await connectRedis();
+  await redis.srem(getDigestKey(weekId), String(userId));
+};
+
+const weeklyDigestStore = {
+  claimDigest,
+  releaseDigest,
+};
+
+export default weeklyDigestStore;
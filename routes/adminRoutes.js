@@ -0,0 +1,25 @@
+import express from 'express';
+import adminMiddleware from '../middleware/adminMiddleware.js';
+import usernameRuleController from '../controllers/usernameRuleController.js';
+import mailEventController from '../controllers/mailEventController.js';
+import paragraphAdminController from '../controllers/paragraphAdminController.js';
+
+const router = express.Router();
+
+router.use(adminMiddleware);
+
+router.get('/username-rules', usernameRuleController.listRules);
+router.post('/username-rules', usernameRuleController.addRule);
+router.delete('/username-rules/:ruleId', usernameRuleController.removeRule);
+
+router.get('/mail-events', mailEventController.listMailEvents);
+router.get('/mail-events/:eventId', mailEventController.getMailEvent);
+router.post('/mail-events/:eventId/replay', mailEventController.replayMailEvent);
+
+router.get('/paragraphs', paragraphAdminController.listParagraphs);
+router.post('/paragraphs', paragraphAdminController.createParagraph);
+router.get('/paragraphs/:paragraphId', paragraphAdminController.getParagraph);
+router.put('/paragraphs/:paragraphId', paragraphAdminController.updateParagraph);
+router.delete('/paragraphs/:paragraphId', paragraphAdminController.deleteParagraph);
+
+export default router;
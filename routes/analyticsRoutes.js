@@ -14,12 +14,11 @@ const analyticsLimiter = redisRateLimiter({
   message: 'Too many analytics requests, please try again later.'
 });
 
-router.use(analyticsLimiter);
-
-router.get('/user-analytics', middleware, analyticsController.getUserAnalytics);
-router.get('/account-analytics', middleware, analyticsController.getAccountAnalytics);
-router.put('/update-analytics', middleware, analyticsController.updateAnalytics);
-router.put('/reset-analytics', middleware, analyticsController.resetAnalytics);
+// The limiter runs after `middleware`, so it counts per user rather than per IP
+router.get('/user-analytics', middleware, analyticsLimiter, analyticsController.getUserAnalytics);
+router.get('/account-analytics', middleware, analyticsLimiter, analyticsController.getAccountAnalytics);
+router.put('/reset-analytics', middleware, analyticsLimiter, analyticsController.resetAnalytics);
+router.get('/history', middleware, analyticsLimiter, analyticsController.getTestHistory);
 
 export default router;
 
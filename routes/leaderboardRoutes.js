@@ -0,0 +1,22 @@
+import leaderboardController from '../controllers/leaderboardController.js';
+import middleware from '../middleware/middleware.js';
+import { redisRateLimiter } from '../middleware/redisRateLimiter.js';
+import express from 'express';
+
+const router = express.Router();
+
+const leaderboardLimiter = redisRateLimiter({
+  route: 'leaderboard',
+  limitEnvVar: 'LEADERBOARD_RATE_LIMIT',
+  defaultLimit: 60,
+  windowSecondsEnvVar: 'RATE_LIMIT_WINDOW_SECONDS',
+  defaultWindowSeconds: 60,
+  message: 'Too many leaderboard requests, please try again later.',
+  algorithm: 'token-bucket'
+});
+
+// Anonymous board reads are counted per IP, signed-in ones per user
+router.get('/', leaderboardLimiter, leaderboardController.getLeaderboard);
+router.get('/me', middleware, leaderboardLimiter, leaderboardController.getMyRank);
+
+export default router;
@@ -0,0 +1,24 @@
+import paragraphController from '../controllers/paragraphController.js';
+import { redisRateLimiter } from '../middleware/redisRateLimiter.js';
+import express from 'express';
+
+const router = express.Router();
+
+const paragraphLimiter = redisRateLimiter({
+  route: 'paragraphs',
+  limitEnvVar: 'PARAGRAPH_RATE_LIMIT',
+  defaultLimit: 60,
+  windowSecondsEnvVar: 'RATE_LIMIT_WINDOW_SECONDS',
+  defaultWindowSeconds: 60,
+  message: 'Too many paragraph requests, please try again later.',
+  // Clients fetch several paragraphs in a row when a test starts
+  algorithm: 'token-bucket'
+});
+
+router.use(paragraphLimiter);
+
+router.get('/', paragraphController.listParagraphs);
+router.get('/random', paragraphController.getRandomParagraph);
+router.get('/:id', paragraphController.getParagraphById);
+
+export default router;
@@ -0,0 +1,21 @@
+import testController from '../controllers/testController.js';
+import middleware from '../middleware/middleware.js';
+import { redisRateLimiter } from '../middleware/redisRateLimiter.js';
+import express from 'express';
+
+const router = express.Router();
+
+const testLimiter = redisRateLimiter({
+  route: 'tests',
+  limitEnvVar: 'TEST_RATE_LIMIT',
+  defaultLimit: 20,
+  windowSecondsEnvVar: 'RATE_LIMIT_WINDOW_SECONDS',
+  defaultWindowSeconds: 60,
+  message: 'Too many test requests, please try again later.'
+});
+
+// The limiter runs after `middleware`, so it counts per user rather than per IP
+router.post('/start', middleware, testLimiter, testController.startTest);
+router.post('/submit', middleware, testLimiter, testController.submitTest);
+
+export default router;
@@ -1,6 +1,12 @@
 import authController from '../controllers/authController.js';
 import passwordController from '../controllers/passwordController.js';
 import userController from '../controllers/userController.js';
+import sessionController from '../controllers/sessionController.js';
+import twoFactorController from '../controllers/twoFactorController.js';
+import deviceController from '../controllers/deviceController.js';
+import securityEventController from '../controllers/securityEventController.js';
+import profileController from '../controllers/profileController.js';
+import notificationController from '../controllers/notificationController.js';
 import middleware from '../middleware/middleware.js';
 import { redisRateLimiter } from '../middleware/redisRateLimiter.js';
 import express from 'express';
@@ -16,14 +22,93 @@ const authLimiter = redisRateLimiter({
   message: 'Too many requests, please try again later.'
 });
 
+const refreshLimiter = redisRateLimiter({
+  route: 'refresh',
+  limitEnvVar: 'REFRESH_RATE_LIMIT',
+  defaultLimit: 30,
+  windowSecondsEnvVar: 'RATE_LIMIT_WINDOW_SECONDS',
+  defaultWindowSeconds: 60,
+  message: 'Too many token refresh requests, please try again later.'
+});
+
+const verificationLimiter = redisRateLimiter({
+  route: 'verify-email',
+  limitEnvVar: 'VERIFY_EMAIL_RATE_LIMIT',
+  defaultLimit: 3,
+  windowSecondsEnvVar: 'VERIFY_EMAIL_RATE_LIMIT_WINDOW_SECONDS',
+  defaultWindowSeconds: 600,
+  message: 'Too many verification requests, please try again later.'
+});
+
+const profileLimiter = redisRateLimiter({
+  route: 'profile',
+  limitEnvVar: 'PROFILE_RATE_LIMIT',
+  defaultLimit: 60,
+  windowSecondsEnvVar: 'RATE_LIMIT_WINDOW_SECONDS',
+  defaultWindowSeconds: 60,
+  message: 'Too many profile requests, please try again later.',
+  // Public profiles are read anonymously; the IP limit also caps scraping through many accounts
+  keys: ['user-route', { by: 'ip', limitEnvVar: 'PROFILE_IP_RATE_LIMIT', defaultLimit: 120 }]
+});
+
+const unsubscribeLimiter = redisRateLimiter({
+  route: 'unsubscribe',
+  limitEnvVar: 'UNSUBSCRIBE_RATE_LIMIT',
+  defaultLimit: 30,
+  windowSecondsEnvVar: 'RATE_LIMIT_WINDOW_SECONDS',
+  defaultWindowSeconds: 60,
+  message: 'Too many unsubscribe requests, please try again later.',
+  keys: ['ip']
+});
+
+const exportLimiter = redisRateLimiter({
+  route: 'export',
+  limitEnvVar: 'EXPORT_RATE_LIMIT',
+  defaultLimit: 3,
+  windowSecondsEnvVar: 'EXPORT_RATE_LIMIT_WINDOW_SECONDS',
+  defaultWindowSeconds: 3600,
+  message: 'Too many data exports, please try again later.'
+});
+
 router.post('/register', authLimiter, authController.registerUser);
 router.post('/login', authLimiter, authController.loginUser);
+router.post('/login/2fa', authLimiter, authController.verifyTwoFactorLogin);
+router.post('/refresh-token', refreshLimiter, authController.refreshToken);
+router.post('/verify-email', authLimiter, authController.verifyEmail);
+router.post('/unlock-account', authLimiter, authController.unlockAccount);
+router.post('/resend-verification', verificationLimiter, authController.resendVerification);
 
 router.post('/send-otp', authLimiter, passwordController.sendOTP);
 router.post('/reset-password', authLimiter, passwordController.resetPassword);
+router.put('/change-password', middleware, authLimiter, passwordController.changePassword);
 
 router.get('/check-username', userController.checkUsernameAvailability);
 router.put('/update-username', middleware, userController.changeUsername);
+router.get('/username-history', middleware, userController.getUsernameHistory);
+router.put('/update-email', middleware, authLimiter, userController.requestEmailChange);
+router.post('/update-email/confirm', middleware, authLimiter, userController.confirmEmailChange);
 router.delete('/delete-account', middleware, authLimiter, userController.deleteAccount);
 
+router.post('/2fa/enroll', middleware, authLimiter, twoFactorController.enrolTwoFactor);
+router.post('/2fa/confirm', middleware, authLimiter, twoFactorController.confirmTwoFactor);
+router.post('/2fa/disable', middleware, authLimiter, twoFactorController.disableTwoFactor);
+
+router.post('/logout', middleware, sessionController.logout);
+router.post('/logout-all', middleware, sessionController.logoutAll);
+router.get('/sessions', middleware, sessionController.getSessions);
+
+router.get('/profile', middleware, profileController.getMyProfile);
+router.put('/profile', middleware, profileLimiter, profileController.updateProfile);
+router.get('/profile/:username', profileLimiter, profileController.getPublicProfile);
+
+router.get('/notifications', middleware, notificationController.getPreferences);
+router.put('/notifications', middleware, notificationController.updatePreferences);
+router.post('/notifications/unsubscribe', unsubscribeLimiter, notificationController.unsubscribe);
+
+router.get('/export', middleware, exportLimiter, userController.exportData);
+router.get('/security-events', middleware, securityEventController.getSecurityEvents);
+
+router.get('/devices', middleware, deviceController.getDevices);
+router.delete('/devices/:deviceId', middleware, deviceController.forgetDevice);
+
 export default router;
\ No newline at end of file
@@ -62,6 +62,39 @@ const analyticsSchema = new mongoose.Schema(
           min: 1
         }
       }
+    ],
+    personalBests: [
+      {
+        _id: false,
+        // One record per mode and time limit: a 15s best never competes with a 120s one
+        mode: {
+          type: String, // quote | easy-short | easy-long | hard-short | hard-long
+          required: true
+        },
+        duration: {
+          type: Number, // time limit in seconds, null for a full-paragraph test
+          default: null
+        },
+        wpm: {
+          type: Number,
+          default: 0,
+          min: 0
+        },
+        accuracy: {
+          type: Number,
+          default: 0,
+          min: 0,
+          max: 100
+        },
+        date: {
+          type: Number, // Unix timestamp in milliseconds
+          required: true
+        },
+        paragraphId: {
+          type: String,
+          required: true
+        }
+      }
     ]
   },
   {
@@ -70,5 +103,7 @@ const analyticsSchema = new mongoose.Schema(
 );
 
 analyticsSchema.index({ userId: 1 }, { unique: true });
+// Recently active users, for the weekly digest
+analyticsSchema.index({ lastTestTaken: 1 });
 
 export default analyticsSchema;
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+// Version of a content catalog. Every admin change bumps `version`; the catalog is
+// republished to its queue only while `publishedVersion` is behind.
+const catalogVersionSchema = new mongoose.Schema(
+  {
+    name: {
+        type: String, // e.g. "paragraphs"
+        required: true
+    },
+    version: {
+        type: Number,
+        default: 0
+    },
+    publishedVersion: {
+        type: Number,
+        default: 0
+    },
+    // Last number used for a generated id
+    sequence: {
+        type: Number,
+        default: 0
+    },
+    seededAt: {
+        type: Number, // Unix timestamp in milliseconds, once the static data was imported
+        default: null
+    },
+    updatedAt: {
+        type: Number,
+        default: () => Date.now()
+    },
+    publishedAt: {
+        type: Number,
+        default: null
+    }
+  },
+  {
+    timestamps: false
+  }
+);
+
+catalogVersionSchema.index({ name: 1 }, { unique: true });
+
+export default catalogVersionSchema;
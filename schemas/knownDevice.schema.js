@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+const knownDeviceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+
+    fingerprint: {
+        type: String, // sha256 of browser, OS and device; see getDeviceFingerprint
+        required: true
+    },
+    browser: {
+        type: String,
+        default: "Unknown"
+    },
+    os: {
+        type: String,
+        default: "Unknown"
+    },
+    deviceType: {
+        type: String,
+        default: "Unknown"
+    },
+    countries: {
+        type: [String], // every country this device signed in from
+        default: []
+    },
+    lastCity: {
+        type: String,
+        default: "Unknown"
+    },
+    lastIp: {
+        type: String,
+        default: "Unknown"
+    },
+    firstSeenAt: {
+        type: Number, // Unix timestamp in milliseconds
+        required: true
+    },
+    lastSeenAt: {
+        type: Number, // Unix timestamp in milliseconds
+        required: true
+    }
+  },
+  {
+    timestamps: false
+  }
+);
+
+knownDeviceSchema.index({ userId: 1, fingerprint: 1 }, { unique: true });
+
+export default knownDeviceSchema;
@@ -0,0 +1,88 @@
+import mongoose from "mongoose";
+
+export const MAIL_EVENT_STATUSES = ["sending", "sent", "failed", "dead"];
+
+// One outbox entry per mail; see services/mailOutbox.service.js for the lifecycle
+const mailEventSchema = new mongoose.Schema(
+  {
+    mailId: {
+        type: String, // recipient address
+        required: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    // Template data, sent as `datetime` to the mail service; removed once the mail is sent
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: undefined
+    },
+    priority: {
+        type: Number,
+        default: 5
+    },
+
+    status: {
+        type: String,
+        enum: MAIL_EVENT_STATUSES,
+        default: "sending"
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    nextAttemptAt: {
+        type: Number, // Unix timestamp in milliseconds, while failed
+        default: null
+    },
+    // A "sending" entry whose lock has passed was abandoned mid-delivery and is retried
+    lockedUntil: {
+        type: Number, // Unix timestamp in milliseconds
+        default: null
+    },
+
+    createdAt: {
+        type: Number, // Unix timestamp in milliseconds
+        default: () => Date.now()
+    },
+    sentAt: {
+        type: Number, // Unix timestamp in milliseconds
+        default: null
+    },
+    deadAt: {
+        type: Number, // Unix timestamp in milliseconds
+        default: null
+    },
+    // Mail carrying a code or link is not retried past this; the code has expired by then
+    deliverBy: {
+        type: Number, // Unix timestamp in milliseconds
+        default: null
+    },
+    // Payload keys removed when the event died (codes, single-use and unsubscribe links)
+    redactedKeys: {
+        type: [String],
+        default: undefined
+    },
+    // Sent entries are removed by MongoDB after MAIL_OUTBOX_SENT_RETENTION_DAYS,
+    // dead ones after MAIL_OUTBOX_DEAD_RETENTION_DAYS
+    expiresAt: {
+        type: Date,
+        default: null
+    }
+  },
+  {
+    timestamps: false
+  }
+);
+
+mailEventSchema.index({ status: 1, nextAttemptAt: 1 });
+mailEventSchema.index({ status: 1, lockedUntil: 1 });
+mailEventSchema.index({ status: 1, createdAt: -1 });
+mailEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mailEventSchema;
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// Mail types each optional category covers. Types outside every category are
+// transactional or security mail and are always sent.
+export const NOTIFICATION_CATEGORIES = {
+  login: ["login"],
+  newDevice: ["new-device-login"],
+  weeklyDigest: ["weekly-digest"],
+  marketing: ["announcement", "newsletter"]
+};
+
+// Never suppressed, whatever the preferences say
+export const MANDATORY_MAIL_TYPES = ["reset-otp", "resetPassword", "delete"];
+
+const notificationPreferenceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true
+    },
+
+    login: {
+        type: Boolean,
+        default: true
+    },
+    newDevice: {
+        type: Boolean,
+        default: true
+    },
+    weeklyDigest: {
+        type: Boolean,
+        default: true
+    },
+    marketing: {
+        type: Boolean, // opt-in
+        default: false
+    },
+
+    updatedAt: {
+        type: Number, // Unix timestamp in milliseconds
+        default: () => Date.now()
+    }
+  },
+  {
+    timestamps: false
+  }
+);
+
+export default notificationPreferenceSchema;
@@ -0,0 +1,104 @@
+import mongoose from "mongoose";
+
+export const PARAGRAPH_TYPES = ["quote", "paragraph"];
+export const PARAGRAPH_DIFFICULTIES = ["easy", "hard"];
+export const PARAGRAPH_LENGTHS = ["short", "long"];
+
+// Updated as tests are started and submitted; never bumps the catalog version
+const paragraphStatsSchema = new mongoose.Schema(
+  {
+    timesServed: {
+        type: Number, // typing tests started on the paragraph
+        default: 0
+    },
+    testsCompleted: {
+        type: Number,
+        default: 0
+    },
+    averageWpm: {
+        type: Number,
+        default: 0
+    },
+    averageAccuracy: {
+        type: Number,
+        default: 0
+    }
+  },
+  { _id: false }
+);
+
+const paragraphSchema = new mongoose.Schema(
+  {
+    // Public id, also stored on test results: `${env.para.<key>}${n}`
+    paragraphId: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    content: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 5000
+    },
+    type: {
+        type: String,
+        enum: PARAGRAPH_TYPES,
+        required: true
+    },
+    // Both set for paragraphs, null for quotes
+    difficulty: {
+        type: String,
+        enum: [...PARAGRAPH_DIFFICULTIES, null],
+        default: null
+    },
+    length: {
+        type: String,
+        enum: [...PARAGRAPH_LENGTHS, null],
+        default: null
+    },
+    language: {
+        type: String, // ISO 639-1
+        lowercase: true,
+        default: "en"
+    },
+    source: {
+        type: String,
+        trim: true,
+        maxlength: 200,
+        default: null
+    },
+    author: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: null
+    },
+    // Inactive paragraphs are not served for new tests
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    stats: {
+        type: paragraphStatsSchema,
+        default: () => ({})
+    },
+
+    createdAt: {
+        type: Number, // Unix timestamp in milliseconds
+        default: () => Date.now()
+    },
+    updatedAt: {
+        type: Number,
+        default: () => Date.now()
+    }
+  },
+  {
+    timestamps: false
+  }
+);
+
+paragraphSchema.index({ paragraphId: 1 }, { unique: true });
+paragraphSchema.index({ isActive: 1, type: 1, difficulty: 1, length: 1 });
+
+export default paragraphSchema;
@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+export const SECURITY_EVENT_TYPES = [
+  "login_success",
+  "login_failure",
+  "account_locked",
+  "otp_sent",
+  "password_reset",
+  "password_change",
+  "username_change",
+  "email_change",
+  "two_factor_enabled",
+  "two_factor_disabled",
+  "token_refresh",
+  "rate_limit_hit",
+  "data_export",
+  "account_deletion",
+  "account_restored"
+];
+
+const securityEventSchema = new mongoose.Schema(
+  {
+    // null when no account could be identified, e.g. an anonymous rate limit hit
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null
+    },
+
+    type: {
+        type: String,
+        enum: SECURITY_EVENT_TYPES,
+        required: true
+    },
+    deviceInfo: {
+        type: mongoose.Schema.Types.Mixed, // getDeviceInfo snapshot of the request
+        default: null
+    },
+    metadata: {
+        type: mongoose.Schema.Types.Mixed, // event specific details, e.g. { route } for rate_limit_hit
+        default: {}
+    },
+    occurredAt: {
+        type: Number, // Unix timestamp in milliseconds
+        required: true
+    },
+    expiresAt: {
+        type: Date, // TTL indexes need a Date; removed by MongoDB once passed
+        required: true
+    }
+  },
+  {
+    timestamps: false,
+    minimize: false
+  }
+);
+
+securityEventSchema.index({ userId: 1, occurredAt: -1 });
+securityEventSchema.index({ userId: 1, type: 1, occurredAt: -1 });
+securityEventSchema.index({ "deviceInfo.ip": 1, occurredAt: -1 });
+securityEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// The log is append-only; entries only leave through the TTL index
+const rejectChange = function () {
+  throw new Error("Security events are append-only");
+};
+securityEventSchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"], rejectChange);
+
+export default securityEventSchema;
@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+
+const testResultSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+
+    paragraphId: {
+        type: String,
+        required: true
+    },
+    mode: {
+        type: String, // quote | easy-short | easy-long | hard-short | hard-long
+        required: true
+    },
+    duration: {
+        type: Number, // configured time limit in seconds, null for a full-paragraph test
+        default: null
+    },
+    elapsedSeconds: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    wpm: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    rawWpm: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    accuracy: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100
+    },
+    consistency: {
+        type: Number, // 0-100, evenness of keystroke intervals
+        default: null,
+        min: 0,
+        max: 100
+    },
+    errorCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    maxStreak: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    takenAt: {
+        type: Number, // Unix timestamp in milliseconds
+        required: true
+    }
+  },
+  {
+    timestamps: false
+  }
+);
+
+testResultSchema.index({ userId: 1, takenAt: -1 });
+testResultSchema.index({ userId: 1, mode: 1, takenAt: -1 });
+
+export default testResultSchema;
@@ -50,6 +50,74 @@ const userSchema = new mongoose.Schema(
       minlength: 8
     },
 
+    // bcrypt hashes of previous passwords, newest last
+    passwordHistory: {
+      type: [String],
+      default: []
+    },
+
+    isEmailVerified: {
+      type: Boolean,
+      default: false
+    },
+
+    emailVerifiedAt: {
+      type: Number,      // Unix timestamp in milliseconds
+      default: null
+    },
+
+    twoFactor: {
+      type: new mongoose.Schema(
+        {
+          enabled: { type: Boolean, default: false },
+          secret: { type: String, default: null },         // AES-256-GCM encrypted TOTP secret
+          pendingSecret: { type: String, default: null },  // enrolment awaiting confirmation
+          recoveryCodes: { type: [String], default: [] },  // bcrypt hashes, single use
+          lastUsedStep: { type: Number, default: null },   // TOTP time step of the last accepted code
+          enabledAt: { type: Number, default: null }       // Unix timestamp in milliseconds
+        },
+        { _id: false }
+      ),
+      default: () => ({})
+    },
+
+    // Public profile fields, shown on /api/users/profile/:username
+    profile: {
+      type: new mongoose.Schema(
+        {
+          bio: { type: String, trim: true, maxlength: 160, default: null },
+          country: { type: String, uppercase: true, match: /^[A-Z]{2}$/, default: null }, // ISO 3166-1 alpha-2
+          avatarUrl: { type: String, trim: true, maxlength: 500, default: null }
+        },
+        { _id: false }
+      ),
+      default: () => ({})
+    },
+
+    privacy: {
+      type: new mongoose.Schema(
+        {
+          hideRealName: { type: Boolean, default: false },
+          hideStats: { type: Boolean, default: false },
+          isPrivate: { type: Boolean, default: false }    // only the username is shown
+        },
+        { _id: false }
+      ),
+      default: () => ({})
+    },
+
+    // Last rename; renames are limited by USERNAME_CHANGE_COOLDOWN_DAYS
+    usernameChangedAt: {
+      type: Number,      // Unix timestamp in milliseconds
+      default: null
+    },
+
+    // Set while a deletion is pending; the account is purged once this passes
+    deletionScheduledFor: {
+      type: Number,      // Unix timestamp in milliseconds
+      default: null
+    },
+
     lastLogin: {
       type: Number,      // Unix timestamp in milliseconds
       default: null
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+const usernameChangeSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+
+    from: {
+        type: String,
+        required: true
+    },
+    to: {
+        type: String,
+        required: true
+    },
+    changedAt: {
+        type: Number, // Unix timestamp in milliseconds
+        required: true
+    },
+    // `from` is reserved for this user until then
+    heldUntil: {
+        type: Number, // Unix timestamp in milliseconds
+        required: true
+    }
+  },
+  {
+    timestamps: false
+  }
+);
+
+usernameChangeSchema.index({ from: 1, changedAt: -1 });
+usernameChangeSchema.index({ userId: 1, changedAt: -1 });
+
+export default usernameChangeSchema;
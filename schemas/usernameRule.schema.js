@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// Admin overrides on top of the built-in username blocklist
+const usernameRuleSchema = new mongoose.Schema(
+  {
+    term: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    match: {
+        type: String,
+        enum: ["exact", "prefix", "suffix", "substring"],
+        default: "exact"
+    },
+    // "allow" exempts an exact username from every block rule
+    action: {
+        type: String,
+        enum: ["block", "allow"],
+        default: "block"
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 200,
+        default: null
+    },
+    createdAt: {
+        type: Number, // Unix timestamp in milliseconds
+        default: () => Date.now()
+    }
+  },
+  {
+    timestamps: false
+  }
+);
+
+usernameRuleSchema.index({ term: 1, match: 1, action: 1 }, { unique: true });
+
+export default usernameRuleSchema;
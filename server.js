@@ -7,10 +7,20 @@ import { connectDB, setupDBSignalHandlers } from './init/db.js';
 import { connectMQ, setupMQSignalHandlers } from './init/queue.js';
 import { connectRedis, setupRedisSignalHandlers } from './init/redis.js';
 import { loadParagraphsToQueue } from './helper/paragraphLoader.js';
+import paragraphSeed from './helper/paragraphSeed.js';
 import leaderboard  from './helper/leaderboardHelper.js';
+import authService from './services/auth.service.js';
+import accountPurge from './helper/accountPurge.js';
+import weeklyDigest from './helper/weeklyDigest.js';
+import mailOutboxService from './services/mailOutbox.service.js';
 import errorMiddleware from './middleware/errorMiddleware.js';
 import userRoutes from './routes/userRoutes.js';
 import analyticsRoutes from './routes/analyticsRoutes.js';
+import testRoutes from './routes/testRoutes.js';
+import paragraphRoutes from './routes/paragraphRoutes.js';
+import leaderboardRoutes from './routes/leaderboardRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import leaderboardController from './controllers/leaderboardController.js';
 
 const app = express();
 
@@ -70,11 +80,15 @@ app.use(cors({
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'token'],
+  // Renewed tokens of the legacy `token` header flow, and the rate limit state
+  exposedHeaders: ['New-Access-Token', 'New-Refresh-Token', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'],
   credentials: true,
   maxAge: 86400,
 }));
 
 // 5. Payload size limits
+// Test submissions carry the typed text plus one timestamp per keystroke, so they get a larger body limit
+app.use('/api/tests', express.json({ limit: '100kb' }));
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 
@@ -90,20 +104,15 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok' });
 });
 
-app.get('/leaderboard', async (req, res, next) => { // ALTHOUGH , THERE IS A CRON JOB BUT YOU CAN ALSO USE THIS ROUTE TO POPULATE LEADERBOARD
-  try {
-    const data = await leaderboard.generateLeaderboard();
-    res.status(200).json({ 
-      status: 'ok', 
-      data 
-    });
-  } catch (error) {
-    next(error);
-  }
-});
+// Legacy path in its original response shape, served from the same Redis boards as /api/leaderboard
+app.get('/leaderboard', leaderboardController.getLegacyLeaderboard);
 
 app.use('/api/users', userRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/tests', testRoutes);
+app.use('/api/paragraphs', paragraphRoutes);
+app.use('/api/leaderboard', leaderboardRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Global 404 Handler
 app.use((req, res, next) => {
@@ -134,28 +143,74 @@ const startServer = async () => {
     }
     setupRedisSignalHandlers();
 
+    const seeded = await paragraphSeed.seedParagraphs();
+    if (seeded) {
+      console.log(`✓ Seeded ${seeded} paragraphs from the static data`);
+    }
+
     if (env.isQueueEnabled) {
+      // Only publishes when the catalog version changed since the last publish
       console.log('Loading paragraphs into the queue...');
       await loadParagraphsToQueue();
-      console.log('Paragraphs loaded into the queue successfully');
     } else {
       console.log('⚠️ Paragraph loading skipped because isQueueEnabled is false');
     }
 
+    const grandfathered = await authService.markLegacyUsersVerified();
+    if (grandfathered) {
+      console.log(`✓ Marked ${grandfathered} existing accounts as email-verified`);
+    }
 
+    if (await leaderboard.ensureLeaderboards()) {
+      console.log('✓ Leaderboards rebuilt from test history');
+    }
 
-    // Setup Cron Job for periodic leaderboard refresh
-    // Run leaderboard update every 30 minutes (0 and 30 minute mark each hour)
-    // cron.schedule('0,30 * * * *', async () => {
-    //   try {
-    //     console.log('[CRON] Updating leaderboard...');
-    //     await leaderboard.generateLeaderboard();
-    //   } catch (error) {
-    //     console.error('[CRON] Failed to update leaderboard:', error.message);
-    //   }
-    // });
+    // Inactive users only drop off the boards on a rebuild, so run one daily when the activity rule is on
+    if (env.leaderboard.activeDays > 0) {
+      cron.schedule('0 3 * * *', async () => {
+        try {
+          console.log('[CRON] Rebuilding leaderboards...');
+          await leaderboard.rebuildLeaderboards();
+        } catch (error) {
+          console.error('[CRON] Failed to rebuild leaderboards:', error.message);
+        }
+      });
+      console.log('✓ Cron job scheduled: Leaderboard rebuild daily at 03:00');
+    }
 
-    // console.log('✓ Cron job scheduled: Leaderboard updates every 30 minutes');
+    cron.schedule(env.mailOutbox.retryCron, async () => {
+      try {
+        const { delivered, failed } = await mailOutboxService.retryDueMail();
+        if (delivered || failed) {
+          console.log(`[CRON] Mail outbox retries: ${delivered} delivered, ${failed} failed`);
+        }
+      } catch (error) {
+        console.error('[CRON] Failed to retry mail outbox:', error.message);
+      }
+    });
+    console.log(`✓ Cron job scheduled: Mail outbox retries (${env.mailOutbox.retryCron})`);
+
+    cron.schedule(env.accountDeletion.purgeCron, async () => {
+      try {
+        console.log('[CRON] Purging accounts past their deletion grace period...');
+        const purged = await accountPurge.purgeDeletedAccounts();
+        console.log(`[CRON] Purged ${purged} accounts`);
+      } catch (error) {
+        console.error('[CRON] Failed to purge deleted accounts:', error.message);
+      }
+    });
+    console.log(`✓ Cron job scheduled: Account purge (${env.accountDeletion.purgeCron})`);
+
+    cron.schedule(env.weeklyDigest.cron, async () => {
+      try {
+        console.log('[CRON] Sending weekly digests...');
+        const { weekId, sent, failed } = await weeklyDigest.sendWeeklyDigests();
+        console.log(`[CRON] Weekly digests for ${weekId}: ${sent} sent, ${failed} failed`);
+      } catch (error) {
+        console.error('[CRON] Failed to send weekly digests:', error.message);
+      }
+    });
+    console.log(`✓ Cron job scheduled: Weekly digest (${env.weeklyDigest.cron})`);
 
     app.listen(env.port, () => {
       console.log(`✓ Server running on port ${env.port}`);
@@ -1,5 +1,8 @@
 import Analytics from '../models/analytics.model.js';
 import User from '../models/user.model.js';
+import TestResult from '../models/testResult.model.js';
+import { env } from '../init/env.js';
+import userService from './user.service.js';
 import mongoose from 'mongoose';
 
 const resetAnalytics = async (userId) => {
@@ -13,11 +16,17 @@ const resetAnalytics = async (userId) => {
       testTimings: 0,
       lastTestTaken: null,
       totalPar: 0,
-      maxStreak: 0
+      maxStreak: 0,
+      progress: [],
+      personalBests: []
     },
     { new: true }
   );
 
+  if (analytics) {
+    await TestResult.deleteMany({ userId: formattedUserId });
+  }
+
   return analytics;
 };
 
@@ -26,60 +35,125 @@ const getAnalytics = async (userId) => {
   const formattedUserId = new mongoose.Types.ObjectId(userId);
   const analytics = await Analytics.findOne({ userId: formattedUserId }).populate({
     path: 'userId',
-    select: 'firstName lastName username email lastLogin dateOfJoining -_id'
+    select: 'firstName lastName username email isEmailVerified lastLogin dateOfJoining -_id'
   });
 
   return analytics;
 };
 
-const updateAnalytics = async (userId, payload) => {
-  if (!mongoose.Types.ObjectId.isValid(userId)) return null;
-  const formattedUserId = new mongoose.Types.ObjectId(userId);
-  const { wpm, accuracy, testTimings, maxStreak, lastTestTaken } = payload;
+const floor2 = (num) => Math.floor(num * 100) / 100;
 
-  const floor2 = (num) => Math.floor(num * 100) / 100;
+// Daily averages over the last `days` days, derived from the test history
+const buildProgress = async (userId, days = env.analytics.progressDays) => {
+  const since = Date.now() - days * 24 * 60 * 60 * 1000;
+  const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
 
-  const safeWpm = floor2(wpm);
-  const safeAccuracy = floor2(accuracy);
+  const rows = await TestResult.aggregate([
+    { $match: { userId, takenAt: { $gte: since } } },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: { $toDate: '$takenAt' }, timezone } },
+        wpm: { $avg: '$wpm' },
+        accuracy: { $avg: '$accuracy' },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return rows.map((row) => ({
+    date: row._id,
+    wpm: floor2(row.wpm),
+    accuracy: floor2(row.accuracy),
+    count: row.count
+  }));
+};
 
-  const today = new Date().toLocaleDateString('en-CA');
+const isBetterResult = (candidate, current) => {
+  if (!current) return true;
+  if (candidate.wpm !== current.wpm) return candidate.wpm > current.wpm;
+  return candidate.accuracy > current.accuracy;
+};
 
-  const currentAnalytics = await Analytics.findOne({ userId: formattedUserId });
-  if (!currentAnalytics) return null;
+// Returns the updated personal-best list plus the record this result replaced, if any.
+// Records are kept per mode and time limit.
+const applyPersonalBests = (personalBests, result) => {
+  const updated = personalBests.map((pb) => (pb.toObject ? pb.toObject() : { ...pb }));
+  const mode = result.mode;
+  const duration = result.duration ?? null;
+
+  const index = updated.findIndex((pb) => pb.mode === mode && (pb.duration ?? null) === duration);
+  const current = index === -1 ? null : updated[index];
+  if (!isBetterResult(result, current)) {
+    return { personalBests: updated, newPersonalBests: [] };
+  }
 
-  let updatedProgress = currentAnalytics.progress ? [...currentAnalytics.progress] : [];
+  const record = {
+    mode,
+    duration,
+    wpm: result.wpm,
+    accuracy: result.accuracy,
+    date: result.date,
+    paragraphId: result.paragraphId
+  };
 
-  const lastEntry = updatedProgress[updatedProgress.length - 1];
-  const isFirstTestToday = !lastEntry || lastEntry.date !== today;
+  if (index === -1) updated.push(record);
+  else updated[index] = record;
 
-  if (isFirstTestToday) {
-    const newEntry = {
-      date: today,
-      wpm: safeWpm,
-      accuracy: safeAccuracy,
-      count: 1
-    };
+  return {
+    personalBests: updated,
+    newPersonalBests: [{ mode, duration, previousWpm: current ? current.wpm : null }]
+  };
+};
 
-    if (updatedProgress.length >= 10) {
-      updatedProgress.shift();
-    }
+const updateAnalytics = async (userId, payload) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+  const formattedUserId = new mongoose.Types.ObjectId(userId);
+  const {
+    wpm,
+    rawWpm,
+    accuracy,
+    consistency,
+    errors,
+    testTimings,
+    maxStreak,
+    lastTestTaken,
+    paragraphId,
+    mode,
+    duration
+  } = payload;
 
-    updatedProgress.push(newEntry);
-  } else {
-    const existingEntry = updatedProgress[updatedProgress.length - 1];
+  const safeWpm = floor2(wpm);
+  const safeAccuracy = floor2(accuracy);
 
-    const newCount = existingEntry.count + 1;
+  const currentAnalytics = await Analytics.findOne({ userId: formattedUserId }).select('personalBests');
+  if (!currentAnalytics) return null;
 
-    existingEntry.wpm = floor2(
-      (existingEntry.wpm * existingEntry.count + safeWpm) / newCount
-    );
+  await TestResult.create({
+    userId: formattedUserId,
+    paragraphId,
+    mode,
+    duration,
+    elapsedSeconds: testTimings,
+    wpm: safeWpm,
+    rawWpm: floor2(rawWpm),
+    accuracy: safeAccuracy,
+    consistency,
+    errorCount: errors,
+    maxStreak,
+    takenAt: lastTestTaken
+  });
 
-    existingEntry.accuracy = floor2(
-      (existingEntry.accuracy * existingEntry.count + safeAccuracy) / newCount
-    );
+  const progress = await buildProgress(formattedUserId);
 
-    existingEntry.count = newCount;
-  }
+  const { personalBests, newPersonalBests } = applyPersonalBests(currentAnalytics.personalBests || [], {
+    mode,
+    duration,
+    wpm: safeWpm,
+    accuracy: safeAccuracy,
+    date: lastTestTaken,
+    paragraphId
+  });
 
   const analytics = await Analytics.findOneAndUpdate(
     { userId: formattedUserId },
@@ -89,29 +163,78 @@ const updateAnalytics = async (userId, payload) => {
       testTimings,
       maxStreak,
       lastTestTaken,
-      progress: updatedProgress,
+      progress,
+      personalBests,
       $inc: { totalPar: 1 }
     },
     { new: true, runValidators: true }
   );
 
-  return analytics;
+  return { analytics, newPersonalBests };
+};
+
+const getTestHistory = async (userId, filters = {}, { page = 1, limit = 20 } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+  const query = { userId: new mongoose.Types.ObjectId(userId) };
+
+  if (filters.mode) query.mode = filters.mode;
+  if (filters.from || filters.to) {
+    query.takenAt = {};
+    if (filters.from) query.takenAt.$gte = filters.from.getTime();
+    if (filters.to) query.takenAt.$lte = filters.to.getTime();
+  }
+
+  const [results, total] = await Promise.all([
+    TestResult.find(query)
+      .sort({ takenAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-userId -__v')
+      .lean(),
+    TestResult.countDocuments(query)
+  ]);
+
+  return {
+    results,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
 };
 
 const getAccountAnalytics = async (username) => {
-  const user = await User.findOne({ username }).select('_id firstName lastName username');
+  const visible = { isEmailVerified: true, deletionScheduledFor: null };
+  const fields = '_id firstName lastName username privacy';
+
+  // An old username resolves to its previous owner's current profile
+  let user = await User.findOne({ username, ...visible }).select(fields);
+  let redirect = null;
+  if (!user) {
+    const previousOwnerId = await userService.findUserIdByPreviousUsername(username);
+    user = previousOwnerId ? await User.findOne({ _id: previousOwnerId, ...visible }).select(fields) : null;
+    if (user) redirect = { from: username, to: user.username };
+  }
   if (!user) return null;
 
+  // Follows the public profile privacy settings; a private profile has no public analytics
+  if (user.privacy?.isPrivate) return null;
+
   const analytics = await Analytics.findOne({ userId: user._id });
 
   if (!analytics) return null;
   return {
     username: user.username,
-    firstName: user.firstName,
-    lastName: user.lastName,
-    wpm: analytics.wpm,
-    accuracy: analytics.accuracy,
-    totalPar: analytics.totalPar,
+    ...(user.privacy?.hideRealName ? {} : { firstName: user.firstName, lastName: user.lastName }),
+    ...(user.privacy?.hideStats ? {} : {
+      wpm: analytics.wpm,
+      accuracy: analytics.accuracy,
+      totalPar: analytics.totalPar,
+      personalBests: analytics.personalBests,
+    }),
+    ...(redirect ? { redirect } : {}),
   };
 };
 
@@ -119,6 +242,7 @@ const analyticsService = {
   resetAnalytics,
   getAnalytics,
   updateAnalytics,
+  getTestHistory,
   getAccountAnalytics
 };
 
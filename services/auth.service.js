@@ -32,10 +32,30 @@ const updateLastLogin = async (userId) => {
 	);
 };
 
+const markEmailVerified = async (userId) => {
+	if (!userId) return null;
+	return User.findByIdAndUpdate(
+		userId,
+		{ isEmailVerified: true, emailVerifiedAt: Date.now() },
+		{ new: true }
+	);
+};
+
+// Accounts created before email verification existed are treated as verified
+const markLegacyUsersVerified = async () => {
+	const result = await User.updateMany(
+		{ isEmailVerified: { $exists: false } },
+		{ $set: { isEmailVerified: true, emailVerifiedAt: null } }
+	);
+	return result.modifiedCount;
+};
+
 const authService = {
 	findUserByEmailOrUsername,
 	createUser,
 	updateLastLogin,
+	markEmailVerified,
+	markLegacyUsersVerified,
 };
 
 export default authService;
@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+import KnownDevice from "../models/knownDevice.model.js";
+import { getDeviceFingerprint } from "../utils/deviceInfo.js";
+
+const UNKNOWN = "Unknown";
+
+const formatDevice = (device, currentFingerprint = null) => ({
+  deviceId: device._id,
+  browser: device.browser,
+  os: device.os,
+  deviceType: device.deviceType,
+  countries: device.countries,
+  lastCity: device.lastCity,
+  lastIp: device.lastIp,
+  firstSeenAt: device.firstSeenAt,
+  lastSeenAt: device.lastSeenAt,
+  current: device.fingerprint === currentFingerprint,
+});
+
+// Records a sign-in and reports whether its device or country is new for the user.
+// The first device of an account is the baseline and never counts as new.
+const recordDevice = async (userId, deviceInfo, now = Date.now()) => {
+  const fingerprint = getDeviceFingerprint(deviceInfo);
+  const country = deviceInfo.location?.country || UNKNOWN;
+
+  const devices = await KnownDevice.find({ userId }).select("fingerprint countries").lean();
+  const knownCountries = new Set(devices.flatMap((device) => device.countries));
+  const isFirstDevice = devices.length === 0;
+  const isNewDevice = !isFirstDevice && !devices.some((device) => device.fingerprint === fingerprint);
+  const isNewCountry = !isFirstDevice && country !== UNKNOWN && !knownCountries.has(country);
+
+  const update = {
+    $set: {
+      browser: deviceInfo.browser?.name || UNKNOWN,
+      os: deviceInfo.os?.name || UNKNOWN,
+      deviceType: deviceInfo.device?.type || UNKNOWN,
+      lastCity: deviceInfo.location?.city || UNKNOWN,
+      lastIp: deviceInfo.ip || UNKNOWN,
+      lastSeenAt: now,
+    },
+    $setOnInsert: { firstSeenAt: now },
+  };
+  if (country !== UNKNOWN) update.$addToSet = { countries: country };
+
+  await KnownDevice.updateOne({ userId, fingerprint }, update, { upsert: true });
+
+  return { isNewDevice, isNewCountry, country };
+};
+
+const listDevices = async (userId, deviceInfo = null) => {
+  const devices = await KnownDevice.find({ userId }).sort({ lastSeenAt: -1 }).lean();
+  const currentFingerprint = deviceInfo ? getDeviceFingerprint(deviceInfo) : null;
+  return devices.map((device) => formatDevice(device, currentFingerprint));
+};
+
+// A forgotten device triggers the new-device mail again on its next sign-in
+const forgetDevice = async (userId, deviceId) => {
+  if (!mongoose.Types.ObjectId.isValid(deviceId)) return false;
+  const result = await KnownDevice.deleteOne({ _id: deviceId, userId });
+  return result.deletedCount === 1;
+};
+
+const deviceService = {
+  recordDevice,
+  listDevices,
+  forgetDevice,
+};
+
+export default deviceService;
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+import User from "../models/user.model.js";
+import Analytics from "../models/analytics.model.js";
+import TestResult from "../models/testResult.model.js";
+import SecurityEvent from "../models/securityEvent.model.js";
+import KnownDevice from "../models/knownDevice.model.js";
+import UsernameChange from "../models/usernameChange.model.js";
+import notificationPreferenceService from "./notificationPreference.service.js";
+import { toCsv } from "../utils/csv.js";
+
+// Credentials and 2FA secrets never leave the server, not even to their owner
+const PROFILE_FIELDS = "firstName lastName username email isEmailVerified emailVerifiedAt twoFactor.enabled twoFactor.enabledAt profile privacy usernameChangedAt deletionScheduledFor lastLogin dateOfJoining";
+
+const buildExport = async (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+  const formattedUserId = new mongoose.Types.ObjectId(userId);
+
+  const profile = await User.findById(formattedUserId).select(`${PROFILE_FIELDS} -_id`).lean();
+  if (!profile) return null;
+
+  const [analytics, testResults, securityEvents, knownDevices, usernameHistory, notificationPreferences] = await Promise.all([
+    Analytics.findOne({ userId: formattedUserId }).select("-_id -userId -__v").lean(),
+    TestResult.find({ userId: formattedUserId }).sort({ takenAt: -1 }).select("-_id -userId -__v").lean(),
+    SecurityEvent.find({ userId: formattedUserId }).sort({ occurredAt: -1 }).select("-_id -userId -expiresAt -__v").lean(),
+    KnownDevice.find({ userId: formattedUserId }).sort({ lastSeenAt: -1 }).select("-_id -userId -fingerprint -__v").lean(),
+    UsernameChange.find({ userId: formattedUserId }).sort({ changedAt: -1 }).select("-_id -userId -__v").lean(),
+    notificationPreferenceService.getPreferences(userId)
+  ]);
+
+  return {
+    exportedAt: Date.now(),
+    profile,
+    analytics,
+    testResults,
+    securityEvents,
+    knownDevices,
+    usernameHistory,
+    notificationPreferences
+  };
+};
+
+// The full bundle as JSON plus one CSV per list, for the zip format
+const buildExportFiles = (data) => [
+  { name: "export.json", content: JSON.stringify(data, null, 2) },
+  {
+    name: "test-results.csv",
+    content: toCsv(data.testResults, [
+      { key: "takenAt" }, { key: "paragraphId" }, { key: "mode" }, { key: "duration" }, { key: "elapsedSeconds" },
+      { key: "wpm" }, { key: "rawWpm" }, { key: "accuracy" }, { key: "consistency" }, { key: "errorCount" }, { key: "maxStreak" }
+    ])
+  },
+  {
+    name: "progress.csv",
+    content: toCsv(data.analytics?.progress || [], [
+      { key: "date" }, { key: "wpm" }, { key: "accuracy" }, { key: "count" }
+    ])
+  },
+  {
+    name: "security-events.csv",
+    content: toCsv(data.securityEvents, [
+      { key: "occurredAt" }, { key: "type" }, { key: "metadata" }, { key: "deviceInfo" }
+    ])
+  },
+  {
+    name: "known-devices.csv",
+    content: toCsv(data.knownDevices, [
+      { key: "browser" }, { key: "os" }, { key: "deviceType" }, { key: "countries" }, { key: "lastCity" },
+      { key: "lastIp" }, { key: "firstSeenAt" }, { key: "lastSeenAt" }
+    ])
+  }
+];
+
+const exportService = {
+  buildExport,
+  buildExportFiles
+};
+
+export default exportService;
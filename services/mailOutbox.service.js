@@ -0,0 +1,253 @@
+import mongoose from "mongoose";
+import MailEvent from "../models/mailEvent.model.js";
+import { env } from "../init/env.js";
+import { publishMail, sendDirectMail, publishDeadLetter } from "../queue/mailTransport.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Template fields that carry codes or single-use links; masked when events are inspected
+// and removed when an event dies
+const SENSITIVE_PAYLOAD_KEYS = ["otp", "verifyUrl", "unlockUrl", "unsubscribeUrl", "oneClickUnsubscribeUrl"];
+
+// Short-lived codes and links: a replay would most likely deliver one that has expired
+const SINGLE_USE_PAYLOAD_KEYS = ["otp", "verifyUrl", "unlockUrl"];
+
+// 30s, 60s, 120s, ... capped at MAIL_RETRY_MAX_BACKOFF_SECONDS
+const getBackoffMs = (attempts) =>
+  Math.min(env.mailOutbox.baseBackoffSeconds * 2 ** (attempts - 1), env.mailOutbox.maxBackoffSeconds) * 1000;
+
+const getLockedUntil = (now = Date.now()) => now + env.mailOutbox.leaseSeconds * 1000;
+
+// Whether the code or link in the mail has expired by `at`, making a delivery pointless
+const isExpiredAt = (event, at) => Boolean(event.deliverBy) && at >= event.deliverBy;
+
+const markSent = async (event) => {
+  const now = Date.now();
+  await MailEvent.updateOne(
+    { _id: event._id },
+    {
+      $set: {
+        status: "sent",
+        sentAt: now,
+        lastError: null,
+        nextAttemptAt: null,
+        lockedUntil: null,
+        expiresAt: new Date(now + env.mailOutbox.sentRetentionDays * DAY_MS)
+      },
+      $inc: { attempts: 1 },
+      $unset: { payload: 1 }
+    }
+  );
+};
+
+const markFailed = async (event, err) => {
+  const now = Date.now();
+  const attempts = event.attempts + 1;
+  const lastError = String(err?.message || err).slice(0, 500);
+
+  const nextAttemptAt = now + getBackoffMs(attempts);
+  const expired = isExpiredAt(event, nextAttemptAt);
+
+  if (attempts < env.mailOutbox.maxAttempts && !expired) {
+    await MailEvent.updateOne(
+      { _id: event._id },
+      { $set: { status: "failed", attempts, lastError, nextAttemptAt, lockedUntil: null } }
+    );
+    return;
+  }
+
+  // Dead events are kept for inspection, without the secrets and not forever
+  const redactedKeys = SENSITIVE_PAYLOAD_KEYS.filter((key) => event.payload?.[key] !== undefined);
+  const dead = await MailEvent.findByIdAndUpdate(
+    event._id,
+    {
+      $set: {
+        status: "dead",
+        attempts,
+        lastError,
+        deadAt: now,
+        nextAttemptAt: null,
+        lockedUntil: null,
+        expiresAt: new Date(now + env.mailOutbox.deadRetentionDays * DAY_MS),
+        ...(redactedKeys.length ? { redactedKeys } : {})
+      },
+      ...(redactedKeys.length ? { $unset: Object.fromEntries(redactedKeys.map((key) => [`payload.${key}`, 1])) } : {})
+    },
+    { new: true }
+  ).lean();
+  const reason = expired ? "its code expires before the next attempt" : `${attempts} attempts`;
+  console.error(`Mail ${event.type} to ${event.mailId} moved to the dead-letter queue after ${reason}: ${lastError}`);
+
+  if (env.isQueueEnabled && dead) {
+    try {
+      await publishDeadLetter(dead);
+    } catch (dlqErr) {
+      console.error("Failed to publish to the mail dead-letter queue:", dlqErr.message);
+    }
+  }
+};
+
+// One delivery attempt of an event the caller holds the lock of
+const deliver = async (event) => {
+  try {
+    if (env.isQueueEnabled) {
+      await publishMail(event.mailId, event.type, event.payload, event.priority);
+    } else {
+      await sendDirectMail(event.mailId, event.type, event.payload);
+    }
+    await markSent(event);
+    return true;
+  } catch (err) {
+    console.error(`Mail ${event.type} to ${event.mailId} failed (attempt ${event.attempts + 1}):`, err.message);
+    await markFailed(event, err);
+    return false;
+  }
+};
+
+// Writes the event, then tries to deliver it straight away. A failed first attempt
+// is retried by the outbox job, so only a failed outbox write reaches the caller.
+// `expiresInSeconds` is the lifetime of a code or link in the mail: it is not retried past that.
+const enqueueMail = async (mailId, type, payload, priority = 5, { expiresInSeconds } = {}) => {
+  const now = Date.now();
+  const event = await MailEvent.create({
+    mailId,
+    type,
+    payload,
+    priority,
+    status: "sending",
+    lockedUntil: getLockedUntil(now),
+    deliverBy: expiresInSeconds ? now + expiresInSeconds * 1000 : null
+  });
+  return deliver(event.toObject());
+};
+
+// Claims due retries (and deliveries abandoned by a crashed process) one at a time, highest priority first
+const claimNextDue = async (now) => {
+  return MailEvent.findOneAndUpdate(
+    {
+      $or: [
+        { status: "failed", nextAttemptAt: { $lte: now } },
+        { status: "sending", lockedUntil: { $lte: now } }
+      ]
+    },
+    { $set: { status: "sending", lockedUntil: getLockedUntil(now) } },
+    { sort: { priority: -1, nextAttemptAt: 1 }, new: true }
+  ).lean();
+};
+
+const retryDueMail = async (batchSize = env.mailOutbox.batchSize) => {
+  let delivered = 0;
+  let failed = 0;
+  for (let i = 0; i < batchSize; i++) {
+    const now = Date.now();
+    const event = await claimNextDue(now);
+    if (!event) break;
+    // Claimed after its code expired, e.g. an abandoned delivery or a late job run
+    if (isExpiredAt(event, now)) {
+      await markFailed(event, new Error("Not delivered before its code expired"));
+      failed++;
+      continue;
+    }
+    if (await deliver(event)) delivered++;
+    else failed++;
+  }
+  return { delivered, failed };
+};
+
+// Mail with a one-time code or link, or whose secrets were removed, can't be replayed;
+// the user has to request it again
+const isReplayable = (event) =>
+  !event.redactedKeys?.length && !SINGLE_USE_PAYLOAD_KEYS.some((key) => event.payload?.[key] !== undefined);
+
+const maskPayload = (payload) => {
+  if (!payload || typeof payload !== "object") return payload ?? null;
+  const masked = { ...payload };
+  for (const key of SENSITIVE_PAYLOAD_KEYS) {
+    if (masked[key] !== undefined) masked[key] = "[redacted]";
+  }
+  return masked;
+};
+
+const toEventView = (event) => ({
+  eventId: event._id.toString(),
+  mailId: event.mailId,
+  type: event.type,
+  priority: event.priority,
+  status: event.status,
+  attempts: event.attempts,
+  lastError: event.lastError,
+  nextAttemptAt: event.nextAttemptAt,
+  deliverBy: event.deliverBy ?? null,
+  createdAt: event.createdAt,
+  sentAt: event.sentAt,
+  deadAt: event.deadAt,
+  payload: maskPayload(event.payload),
+  redactedKeys: event.redactedKeys ?? [],
+  replayable: isReplayable(event),
+});
+
+const listMailEvents = async (filters = {}, { page = 1, limit = 20 } = {}) => {
+  const query = {};
+  if (filters.status) query.status = filters.status;
+  if (filters.type) query.type = filters.type;
+  if (filters.mailId) query.mailId = filters.mailId;
+
+  const [events, total] = await Promise.all([
+    MailEvent.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    MailEvent.countDocuments(query)
+  ]);
+
+  return {
+    events: events.map(toEventView),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+};
+
+const getMailEvent = async (eventId) => {
+  if (!mongoose.Types.ObjectId.isValid(eventId)) return null;
+  const event = await MailEvent.findById(eventId).lean();
+  return event ? toEventView(event) : null;
+};
+
+// Gives a failed or dead event a fresh set of attempts and delivers it now.
+// Returns null for an unknown event, false for one that is not failed or dead and
+// "not-replayable" for one carrying (or stripped of) a code or link.
+const replayMailEvent = async (eventId) => {
+  if (!mongoose.Types.ObjectId.isValid(eventId)) return null;
+  const current = await MailEvent.findById(eventId).lean();
+  if (!current) return null;
+  if (!["failed", "dead"].includes(current.status)) return false;
+  if (!isReplayable(current)) return "not-replayable";
+
+  const event = await MailEvent.findOneAndUpdate(
+    { _id: eventId, status: { $in: ["failed", "dead"] } },
+    {
+      $set: { status: "sending", attempts: 0, lockedUntil: getLockedUntil(), nextAttemptAt: null, deadAt: null },
+      $unset: { expiresAt: 1 }
+    },
+    { new: true }
+  ).lean();
+  if (!event) return false;
+
+  await deliver(event);
+  return getMailEvent(eventId);
+};
+
+const mailOutboxService = {
+  enqueueMail,
+  retryDueMail,
+  listMailEvents,
+  getMailEvent,
+  replayMailEvent,
+};
+
+export default mailOutboxService;
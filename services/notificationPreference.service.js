@@ -0,0 +1,93 @@
+import mongoose from "mongoose";
+import User from "../models/user.model.js";
+import NotificationPreference from "../models/notificationPreference.model.js";
+import { NOTIFICATION_CATEGORIES, MANDATORY_MAIL_TYPES } from "../schemas/notificationPreference.schema.js";
+import jwtHelper from "../auth/jwt.js";
+import { env } from "../init/env.js";
+
+const CATEGORY_NAMES = Object.keys(NOTIFICATION_CATEGORIES);
+
+const CATEGORY_BY_MAIL_TYPE = new Map(
+  Object.entries(NOTIFICATION_CATEGORIES).flatMap(([category, types]) => types.map((type) => [type, category]))
+);
+
+const DEFAULTS = new NotificationPreference().toObject();
+
+// Preferences as stored, with the schema defaults for a user who never saved any
+const toPreferences = (stored) =>
+  Object.fromEntries(CATEGORY_NAMES.map((category) => [category, stored?.[category] ?? DEFAULTS[category]]));
+
+const getPreferences = async (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+  const stored = await NotificationPreference.findOne({ userId }).lean();
+  return toPreferences(stored);
+};
+
+const updatePreferences = async (userId, changes) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+  const stored = await NotificationPreference.findOneAndUpdate(
+    { userId },
+    { $set: { ...changes, updatedAt: Date.now() } },
+    { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+  ).lean();
+  return toPreferences(stored);
+};
+
+const buildUnsubscribeLinks = (userId, category) => {
+  const token = encodeURIComponent(jwtHelper.generateUnsubscribeToken({ userId: String(userId), category }));
+  return {
+    // Page of the client that confirms the unsubscribe
+    unsubscribeUrl: `${env.clientUrl}/unsubscribe?token=${token}`,
+    // RFC 8058 target for List-Unsubscribe / List-Unsubscribe-Post headers
+    oneClickUnsubscribeUrl: `${env.apiUrl}/api/users/notifications/unsubscribe?token=${token}`
+  };
+};
+
+// Decides whether a mail may be sent and, for optional categories, adds the unsubscribe
+// links to its payload. Mail to addresses without an account is always sent.
+const applyPreferences = async (mailId, type, payload) => {
+  const category = CATEGORY_BY_MAIL_TYPE.get(type);
+  if (!category || MANDATORY_MAIL_TYPES.includes(type)) {
+    return { allowed: true, payload };
+  }
+
+  const user = await User.findOne({ email: String(mailId).toLowerCase() }).select("_id").lean();
+  if (!user) {
+    return { allowed: true, payload };
+  }
+
+  const preferences = await getPreferences(user._id.toString());
+  if (!preferences[category]) {
+    return { allowed: false, category };
+  }
+
+  return {
+    allowed: true,
+    payload: { ...payload, ...buildUnsubscribeLinks(user._id, category) }
+  };
+};
+
+// Turns one category off from a signed unsubscribe link, without signing in
+const unsubscribe = async (token) => {
+  const verification = await jwtHelper.verifyToken(token);
+  if (!verification.valid || verification.decoded.type !== "unsubscribe") return null;
+
+  const { userId, category } = verification.decoded;
+  if (!CATEGORY_NAMES.includes(category)) return null;
+
+  const exists = await User.exists({ _id: userId });
+  if (!exists) return null;
+
+  await updatePreferences(userId, { [category]: false });
+  return { category };
+};
+
+const notificationPreferenceService = {
+  CATEGORY_NAMES,
+  getPreferences,
+  updatePreferences,
+  applyPreferences,
+  unsubscribe
+};
+
+export default notificationPreferenceService;
@@ -0,0 +1,178 @@
+import Paragraph from "../models/paragraph.model.js";
+import CatalogVersion from "../models/catalogVersion.model.js";
+import paragraphCatalog from "../helper/paragraphCatalog.js";
+import { env } from "../init/env.js";
+
+const CATALOG_NAME = "paragraphs";
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+// Id prefix of each test mode, the scheme the static data was seeded with
+const getIdPrefix = ({ type, difficulty, length }) => {
+  if (type === "quote") return env.para.quote;
+  const prefixes = {
+    "easy-short": env.para.wordEasyShort,
+    "easy-long": env.para.wordEasyLong,
+    "hard-short": env.para.wordHardShort,
+    "hard-long": env.para.wordHardLong,
+  };
+  return prefixes[`${difficulty}-${length}`];
+};
+
+const toAdminParagraph = (paragraph) => ({
+  ...paragraphCatalog.toParagraph(paragraph),
+  mode: paragraphCatalog.getParagraphMode(paragraph),
+  isActive: paragraph.isActive,
+  stats: {
+    timesServed: paragraph.stats?.timesServed ?? 0,
+    testsCompleted: paragraph.stats?.testsCompleted ?? 0,
+    averageWpm: round(paragraph.stats?.averageWpm),
+    averageAccuracy: round(paragraph.stats?.averageAccuracy),
+  },
+  createdAt: paragraph.createdAt,
+  updatedAt: paragraph.updatedAt,
+});
+
+const toCatalogState = (state) => ({
+  version: state?.version ?? 0,
+  publishedVersion: state?.publishedVersion ?? 0,
+  seededAt: state?.seededAt ?? null,
+  updatedAt: state?.updatedAt ?? null,
+  publishedAt: state?.publishedAt ?? null,
+});
+
+const getCatalogState = async () => {
+  const state = await CatalogVersion.findOne({ name: CATALOG_NAME }).lean();
+  return toCatalogState(state);
+};
+
+// `extra` is merged into the same update, e.g. the seed marker
+const bumpCatalogVersion = async (extra = {}) => {
+  const state = await CatalogVersion.findOneAndUpdate(
+    { name: CATALOG_NAME },
+    { ...extra, $inc: { version: 1 }, $set: { ...extra.$set, updatedAt: Date.now() } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+  return state.version;
+};
+
+// Claims the publish of the current version; resolves the claimed version, or null when
+// it is already published or another instance claimed it first
+const claimCatalogPublish = async () => {
+  const state = await CatalogVersion.findOne({ name: CATALOG_NAME }).lean();
+  if (!state || state.publishedVersion >= state.version) return null;
+
+  const claimed = await CatalogVersion.findOneAndUpdate(
+    { name: CATALOG_NAME, publishedVersion: state.publishedVersion },
+    { $set: { publishedVersion: state.version, publishedAt: Date.now() } },
+    { new: true }
+  ).lean();
+  return claimed ? { version: state.version, previousVersion: state.publishedVersion } : null;
+};
+
+// Undoes a claim whose publish failed, so the next attempt publishes again
+const releaseCatalogPublish = async ({ version, previousVersion }) => {
+  await CatalogVersion.updateOne(
+    { name: CATALOG_NAME, publishedVersion: version },
+    { $set: { publishedVersion: previousVersion } }
+  );
+};
+
+const nextParagraphId = async (paragraph) => {
+  const state = await CatalogVersion.findOneAndUpdate(
+    { name: CATALOG_NAME },
+    { $inc: { sequence: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+  return `${getIdPrefix(paragraph)}${state.sequence}`;
+};
+
+const listParagraphs = async (filters = {}, { page = 1, limit = 20 } = {}) => {
+  const query = {};
+  for (const field of ["type", "difficulty", "length", "language", "isActive"]) {
+    if (filters[field] !== undefined) query[field] = filters[field];
+  }
+
+  const [paragraphs, total, catalog] = await Promise.all([
+    Paragraph.find(query)
+      .sort({ _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Paragraph.countDocuments(query),
+    getCatalogState(),
+  ]);
+
+  return {
+    paragraphs: paragraphs.map(toAdminParagraph),
+    catalog,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+const getParagraph = async (paragraphId) => {
+  const paragraph = await Paragraph.findOne({ paragraphId }).lean();
+  return paragraph ? toAdminParagraph(paragraph) : null;
+};
+
+const createParagraph = async (data) => {
+  const paragraph = await Paragraph.create({
+    ...data,
+    paragraphId: await nextParagraphId(data),
+  });
+  await bumpCatalogVersion();
+  return toAdminParagraph(paragraph.toObject());
+};
+
+// Resolves null when the paragraph doesn't exist and false when the change would leave
+// a paragraph without a difficulty or length
+const updateParagraph = async (paragraphId, changes) => {
+  const current = await Paragraph.findOne({ paragraphId }).lean();
+  if (!current) return null;
+
+  const next = { ...current, ...changes };
+  if (next.type === "quote") {
+    changes = { ...changes, difficulty: null, length: null };
+  } else if (!next.difficulty || !next.length) {
+    return false;
+  }
+
+  const paragraph = await Paragraph.findOneAndUpdate(
+    { paragraphId },
+    { $set: { ...changes, updatedAt: Date.now() } },
+    { new: true, runValidators: true }
+  ).lean();
+  if (!paragraph) return null;
+
+  await bumpCatalogVersion();
+  return toAdminParagraph(paragraph);
+};
+
+// Test results keep the id of a deleted paragraph; deactivating keeps its stats
+const deleteParagraph = async (paragraphId) => {
+  const result = await Paragraph.deleteOne({ paragraphId });
+  if (result.deletedCount !== 1) return false;
+  await bumpCatalogVersion();
+  return true;
+};
+
+const paragraphService = {
+  CATALOG_NAME,
+  getIdPrefix,
+  getCatalogState,
+  bumpCatalogVersion,
+  claimCatalogPublish,
+  releaseCatalogPublish,
+  listParagraphs,
+  getParagraph,
+  createParagraph,
+  updateParagraph,
+  deleteParagraph,
+};
+
+export default paragraphService;
@@ -1,15 +1,58 @@
 import User from "../models/user.model.js";
+import passwordHash from "../utils/passwordHash.js";
+import { env } from "../init/env.js";
+
+// Previous passwords kept besides the current one, so that together they are the last
+// `passwordHistorySize` passwords
+const getHistoryLength = () => Math.max(0, env.auth.passwordHistorySize - 1);
+
+// Sets the new hash and moves the replaced one into the capped history
+const buildPasswordUpdate = (hashedPassword, previousHash) => {
+	const update = { $set: { password: hashedPassword } };
+	if (previousHash) {
+		const historyLength = getHistoryLength();
+		update.$push = {
+			passwordHistory: { $each: [previousHash], $slice: historyLength ? -historyLength : 0 },
+		};
+	}
+	return update;
+};
 
 const findUserByEmail = async (email) => {
 	if (!email) return null;
 	return User.findOne({ email: email.trim().toLowerCase() });
 };
 
-const resetUserPassword = async (email, hashedPassword) => {
+const resetUserPassword = async (email, hashedPassword, previousHash = null) => {
 	if (!email || !hashedPassword) return null;
 	return User.findOneAndUpdate(
 		{ email: email.trim().toLowerCase() },
-		{ password: hashedPassword },
+		buildPasswordUpdate(hashedPassword, previousHash),
+		{ new: true, runValidators: true }
+	).select("firstName lastName username email");
+};
+
+const findUserWithPasswordHistory = async (userId) => {
+	if (!userId) return null;
+	return User.findById(userId).select("firstName lastName username email password passwordHistory");
+};
+
+// Whether the password is one of the last `passwordHistorySize` passwords, the current one included
+const isRecentPassword = async (user, password) => {
+	const historyLength = getHistoryLength();
+	const history = historyLength ? (user.passwordHistory || []).slice(-historyLength) : [];
+	const hashes = [user.password, ...history];
+	for (const hash of hashes) {
+		if (await passwordHash.decryptPassword(password, hash)) return true;
+	}
+	return false;
+};
+
+const changeUserPassword = async (userId, hashedPassword, previousHash) => {
+	if (!userId || !hashedPassword) return null;
+	return User.findByIdAndUpdate(
+		userId,
+		buildPasswordUpdate(hashedPassword, previousHash),
 		{ new: true, runValidators: true }
 	).select("firstName lastName username email");
 };
@@ -17,6 +60,9 @@ const resetUserPassword = async (email, hashedPassword) => {
 const passwordService = {
 	findUserByEmail,
 	resetUserPassword,
+	findUserWithPasswordHistory,
+	isRecentPassword,
+	changeUserPassword,
 };
 
 export default passwordService;
@@ -0,0 +1,89 @@
+import User from "../models/user.model.js";
+import Analytics from "../models/analytics.model.js";
+
+const PROFILE_FIELDS = "firstName lastName username profile privacy dateOfJoining";
+
+const toProfile = (user) => ({
+  bio: user.profile?.bio ?? null,
+  country: user.profile?.country ?? null,
+  avatarUrl: user.profile?.avatarUrl ?? null,
+});
+
+const toPrivacy = (user) => ({
+  hideRealName: Boolean(user.privacy?.hideRealName),
+  hideStats: Boolean(user.privacy?.hideStats),
+  isPrivate: Boolean(user.privacy?.isPrivate),
+});
+
+// The profile as others see it; settings decide which parts are left out
+const buildPublicProfile = (user, analytics) => {
+  const privacy = toPrivacy(user);
+  if (privacy.isPrivate) {
+    return { username: user.username, isPrivate: true };
+  }
+
+  return {
+    username: user.username,
+    isPrivate: false,
+    ...(privacy.hideRealName ? {} : { firstName: user.firstName, lastName: user.lastName }),
+    ...toProfile(user),
+    dateOfJoining: user.dateOfJoining,
+    stats: privacy.hideStats || !analytics ? null : {
+      wpm: analytics.wpm,
+      accuracy: analytics.accuracy,
+      totalPar: analytics.totalPar,
+      personalBests: analytics.personalBests,
+    },
+  };
+};
+
+// Unverified accounts and accounts pending deletion have no public profile
+const getPublicProfile = async (username) => {
+  const user = await User.findOne({ username, isEmailVerified: true, deletionScheduledFor: null })
+    .select(PROFILE_FIELDS)
+    .lean();
+  if (!user) return null;
+
+  const analytics = user.privacy?.isPrivate || user.privacy?.hideStats
+    ? null
+    : await Analytics.findOne({ userId: user._id }).select("wpm accuracy totalPar personalBests").lean();
+
+  return buildPublicProfile(user, analytics);
+};
+
+const getOwnProfile = async (userId) => {
+  const user = await User.findById(userId).select(PROFILE_FIELDS).lean();
+  if (!user) return null;
+  return {
+    username: user.username,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    ...toProfile(user),
+    dateOfJoining: user.dateOfJoining,
+    privacy: toPrivacy(user),
+  };
+};
+
+// `null` clears a profile field; omitted fields are left unchanged
+const updateProfile = async (userId, { privacy = {}, ...fields }) => {
+  const update = {};
+  for (const [key, value] of Object.entries(fields)) {
+    update[`profile.${key}`] = value === "" ? null : value;
+  }
+  for (const [key, value] of Object.entries(privacy)) {
+    update[`privacy.${key}`] = value;
+  }
+
+  const user = await User.findByIdAndUpdate(userId, { $set: update }, { new: true, runValidators: true });
+  if (!user) return null;
+  return getOwnProfile(userId);
+};
+
+const profileService = {
+  buildPublicProfile,
+  getPublicProfile,
+  getOwnProfile,
+  updateProfile,
+};
+
+export default profileService;
@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+import SecurityEvent from "../models/securityEvent.model.js";
+import { env } from "../init/env.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Auditing must never fail the request that triggered it, so errors are only logged.
+// `userId` may be null for events that can't be tied to an account (anonymous rate limit hits).
+const recordSecurityEvent = async (userId, type, deviceInfo = null, metadata = {}) => {
+  try {
+    if (userId !== null && !mongoose.Types.ObjectId.isValid(userId)) return null;
+    const now = Date.now();
+    return await SecurityEvent.create({
+      userId,
+      type,
+      deviceInfo,
+      metadata,
+      occurredAt: now,
+      expiresAt: new Date(now + env.securityEvents.retentionDays * DAY_MS)
+    });
+  } catch (err) {
+    console.error(`Failed to record security event (${type}):`, err.message);
+    return null;
+  }
+};
+
+const getSecurityEvents = async (userId, filters = {}, { page = 1, limit = 20 } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+  const query = { userId: new mongoose.Types.ObjectId(userId) };
+  if (filters.type) query.type = filters.type;
+
+  const [events, total] = await Promise.all([
+    SecurityEvent.find(query)
+      .sort({ occurredAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-userId -expiresAt -__v')
+      .lean(),
+    SecurityEvent.countDocuments(query)
+  ]);
+
+  return {
+    events,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+};
+
+const securityEventService = {
+  recordSecurityEvent,
+  getSecurityEvents
+};
+
+export default securityEventService;
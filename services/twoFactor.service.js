@@ -0,0 +1,141 @@
+import crypto from "crypto";
+import User from "../models/user.model.js";
+import passwordHash from "../utils/passwordHash.js";
+import { env } from "../init/env.js";
+import { generateTotpSecret, verifyTotp } from "../utils/totp.js";
+
+const getEncryptionKey = () => crypto.createHash("sha256").update(String(env.twoFactor.encryptionKey)).digest();
+
+// Stored as iv:authTag:ciphertext (base64)
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64")).join(":");
+};
+
+const decryptSecret = (stored) => {
+  if (!stored) return null;
+  try {
+    const [iv, authTag, encrypted] = stored.split(":").map((part) => Buffer.from(part, "base64"));
+    const decipher = crypto.createDecipheriv("aes-256-gcm", getEncryptionKey(), iv);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+  } catch (e) {
+    return null;
+  }
+};
+
+// Recovery codes look like "a1b2c-3d4e5"; they are compared without the dash and case-insensitively
+const normalizeRecoveryCode = (code) => String(code).trim().toLowerCase().replace(/[\s-]/g, "");
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: env.twoFactor.recoveryCodeCount }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+const findUserWithTwoFactor = async (userId) => {
+  if (!userId) return null;
+  return User.findById(userId).select("firstName lastName username email password twoFactor deletionScheduledFor");
+};
+
+// Generates a new secret awaiting confirmation; replaces any unconfirmed one
+const startEnrolment = async (userId) => {
+  const secret = generateTotpSecret();
+  await User.updateOne({ _id: userId }, { $set: { "twoFactor.pendingSecret": encryptSecret(secret) } });
+  return secret;
+};
+
+// Marks a TOTP time step as used; fails if that step (or a later one) was already accepted
+const claimTimeStep = async (userId, step) => {
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      $or: [{ "twoFactor.lastUsedStep": null }, { "twoFactor.lastUsedStep": { $lt: step } }],
+    },
+    { $set: { "twoFactor.lastUsedStep": step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Confirms enrolment with a code from the pending secret. Returns the plain
+// recovery codes (shown once), or null when the code is wrong.
+const confirmEnrolment = async (user, code) => {
+  const secret = decryptSecret(user.twoFactor?.pendingSecret);
+  const step = verifyTotp(secret, code);
+  if (step === null) return null;
+
+  const recoveryCodes = generateRecoveryCodes();
+  const hashes = await Promise.all(recoveryCodes.map((recoveryCode) => passwordHash.encryptPassword(normalizeRecoveryCode(recoveryCode))));
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        twoFactor: {
+          enabled: true,
+          secret: encryptSecret(secret),
+          pendingSecret: null,
+          recoveryCodes: hashes,
+          lastUsedStep: step,
+          enabledAt: Date.now(),
+        },
+      },
+    }
+  );
+  return recoveryCodes;
+};
+
+// Accepts a current TOTP code or an unused recovery code
+const verifyCode = async (user, code) => {
+  if (!user?.twoFactor?.enabled || !code) return { valid: false };
+
+  const step = verifyTotp(decryptSecret(user.twoFactor.secret), String(code).trim());
+  if (step !== null) {
+    const claimed = await claimTimeStep(user._id, step);
+    return { valid: claimed, method: "totp" };
+  }
+
+  const normalized = normalizeRecoveryCode(code);
+  for (const hash of user.twoFactor.recoveryCodes || []) {
+    if (await passwordHash.decryptPassword(normalized, hash)) {
+      const result = await User.updateOne({ _id: user._id }, { $pull: { "twoFactor.recoveryCodes": hash } });
+      return {
+        valid: result.modifiedCount === 1,
+        method: "recovery",
+        remainingRecoveryCodes: user.twoFactor.recoveryCodes.length - 1,
+      };
+    }
+  }
+
+  return { valid: false };
+};
+
+const disableTwoFactor = async (userId) => {
+  return User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        twoFactor: {
+          enabled: false,
+          secret: null,
+          pendingSecret: null,
+          recoveryCodes: [],
+          lastUsedStep: null,
+          enabledAt: null,
+        },
+      },
+    }
+  );
+};
+
+const twoFactorService = {
+  findUserWithTwoFactor,
+  startEnrolment,
+  confirmEnrolment,
+  verifyCode,
+  disableTwoFactor,
+};
+
+export default twoFactorService;
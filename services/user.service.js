@@ -1,20 +1,91 @@
 import User from "../models/user.model.js";
 import Analytics from "../models/analytics.model.js";
+import TestResult from "../models/testResult.model.js";
+import KnownDevice from "../models/knownDevice.model.js";
+import UsernameChange from "../models/usernameChange.model.js";
+import NotificationPreference from "../models/notificationPreference.model.js";
+import { env } from "../init/env.js";
 
-const checkUsernameExists = async (username) => {
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A renamed-away username is reserved for its previous owner during the hold period
+const isUsernameHeld = async (username, exceptUserId = null) => {
+  if (!username || typeof username !== "string") return false;
+  const filter = { from: username.trim(), heldUntil: { $gt: Date.now() } };
+  if (exceptUserId) filter.userId = { $ne: exceptUserId };
+  const held = await UsernameChange.exists(filter);
+  return held !== null;
+};
+
+// Accounts pending deletion still hold their username until they are purged.
+// `exceptUserId` lets a user reclaim their own held usernames.
+const checkUsernameExists = async (username, { exceptUserId = null } = {}) => {
   if (!username || typeof username !== "string") return false;
   const user = await User.findOne({ username: username.trim() });
-  return user !== null;
+  if (user !== null) return true;
+  return isUsernameHeld(username, exceptUserId);
 };
 
-const updateUsername = async (userId, newUsername) => {
+// When the user may rename again; null if they may do so now
+const getNextUsernameChangeAt = (user, now = Date.now()) => {
+  if (!user?.usernameChangedAt) return null;
+  const nextChangeAt = user.usernameChangedAt + env.username.changeCooldownDays * DAY_MS;
+  return nextChangeAt > now ? nextChangeAt : null;
+};
+
+// The cooldown is part of the update filter, so concurrent renames cannot both pass it
+const updateUsername = async (userId, newUsername, previousUsername) => {
   if (!userId || !newUsername) return null;
-  const user = await User.findByIdAndUpdate(
+  const now = Date.now();
+  const user = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      $or: [
+        { usernameChangedAt: null },
+        { usernameChangedAt: { $lte: now - env.username.changeCooldownDays * DAY_MS } }
+      ]
+    },
+    { username: newUsername.trim(), usernameChangedAt: now },
+    { new: true, runValidators: true }
+  ).select("firstName lastName username email usernameChangedAt");
+  if (!user) return null;
+
+  await UsernameChange.create({
     userId,
-    { username: newUsername.trim() },
+    from: previousUsername,
+    to: user.username,
+    changedAt: now,
+    heldUntil: now + env.username.holdDays * DAY_MS
+  });
+  return user;
+};
+
+// Current owner of a renamed-away username, from its most recent rename
+const findUserIdByPreviousUsername = async (username) => {
+  if (!username || typeof username !== "string") return null;
+  const change = await UsernameChange.findOne({ from: username.trim() })
+    .sort({ changedAt: -1 })
+    .select("userId")
+    .lean();
+  return change?.userId ?? null;
+};
+
+const getUsernameHistory = async (userId) => {
+  if (!userId) return [];
+  return UsernameChange.find({ userId })
+    .sort({ changedAt: -1 })
+    .select("-_id from to changedAt heldUntil")
+    .lean();
+};
+
+// The confirmation code was delivered to the new address, so it counts as verified
+const updateEmail = async (userId, newEmail) => {
+  if (!userId || !newEmail) return null;
+  return User.findByIdAndUpdate(
+    userId,
+    { email: newEmail.trim().toLowerCase(), isEmailVerified: true, emailVerifiedAt: Date.now() },
     { new: true, runValidators: true }
   ).select("firstName lastName username email");
-  return user;
 };
 
 const deleteUserAccount = async (userId) => {
@@ -25,6 +96,10 @@ const deleteUserAccount = async (userId) => {
 
     if (user) {
       await Analytics.deleteOne({ userId });
+      await TestResult.deleteMany({ userId });
+      await KnownDevice.deleteMany({ userId });
+      await UsernameChange.deleteMany({ userId });
+      await NotificationPreference.deleteOne({ userId });
     }
     
     return user;
@@ -35,13 +110,46 @@ const deleteUserAccount = async (userId) => {
 
 const findUserById = async (userId) => {
   if (!userId) return null;
-  return User.findById(userId).select("password email username");
+  return User.findById(userId).select("password email username usernameChangedAt");
+};
+
+const scheduleAccountDeletion = async (userId, scheduledFor) => {
+  if (!userId) return null;
+  return User.findByIdAndUpdate(
+    userId,
+    { deletionScheduledFor: scheduledFor },
+    { new: true }
+  ).select("firstName lastName username email deletionScheduledFor");
+};
+
+const cancelAccountDeletion = async (userId) => {
+  if (!userId) return null;
+  return User.findByIdAndUpdate(
+    userId,
+    { deletionScheduledFor: null },
+    { new: true }
+  );
+};
+
+const findAccountsDueForPurge = async (now = Date.now(), limit = 100) => {
+  return User.find({ deletionScheduledFor: { $ne: null, $lte: now } })
+    .select("firstName lastName username email")
+    .limit(limit)
+    .lean();
 };
 const userService = {
+  isUsernameHeld,
   checkUsernameExists,
+  getNextUsernameChangeAt,
   updateUsername,
+  findUserIdByPreviousUsername,
+  getUsernameHistory,
+  updateEmail,
   deleteUserAccount,
-  findUserById
+  findUserById,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  findAccountsDueForPurge
 };
 
 export default userService;
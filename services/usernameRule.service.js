@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+import UsernameRule from "../models/usernameRule.model.js";
+import usernameRulesStore from "../redis/usernameRules.js";
+
+const toRule = (rule) => ({
+  ruleId: rule._id.toString(),
+  term: rule.term,
+  match: rule.match,
+  action: rule.action,
+  reason: rule.reason,
+  createdAt: rule.createdAt,
+});
+
+// Every override, served from Redis and reloaded from Mongo when the cache is cold
+const getActiveRules = async () => {
+  const cached = await usernameRulesStore.getCachedRules();
+  if (cached) return cached;
+
+  const rules = await UsernameRule.find().select("term match action").lean();
+  const active = rules.map(({ term, match, action }) => ({ term, match, action }));
+  await usernameRulesStore.setCachedRules(active);
+  return active;
+};
+
+const listRules = async () => {
+  const rules = await UsernameRule.find().sort({ createdAt: -1 }).lean();
+  return rules.map(toRule);
+};
+
+const addRule = async ({ term, match = "exact", action = "block", reason = null }) => {
+  const rule = await UsernameRule.create({ term, match, action, reason });
+  await usernameRulesStore.clearCachedRules();
+  return toRule(rule);
+};
+
+const removeRule = async (ruleId) => {
+  if (!mongoose.Types.ObjectId.isValid(ruleId)) return false;
+  const result = await UsernameRule.deleteOne({ _id: ruleId });
+  if (result.deletedCount !== 1) return false;
+  await usernameRulesStore.clearCachedRules();
+  return true;
+};
+
+const usernameRuleService = {
+  getActiveRules,
+  listRules,
+  addRule,
+  removeRule,
+};
+
+export default usernameRuleService;
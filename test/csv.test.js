@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toCsv } from "../utils/csv.js";
+
+const columns = [{ key: "name", header: "Name" }, { key: "value" }];
+
+test("plain values are written as they are, with CRLF line endings", () => {
+  assert.equal(toCsv([{ name: "wpm", value: 98.4 }], columns), "Name,value\r\nwpm,98.4\r\n");
+});
+
+test("commas, quotes and newlines are quoted, inner quotes doubled", () => {
+  const csv = toCsv(
+    [
+      { name: "a,b", value: 'say "hi"' },
+      { name: "line\nbreak", value: "carriage\rreturn" },
+    ],
+    columns
+  );
+  assert.equal(csv, 'Name,value\r\n"a,b","say ""hi"""\r\n"line\nbreak","carriage\rreturn"\r\n');
+});
+
+test("missing values are empty and objects are written as JSON", () => {
+  const csv = toCsv([{ name: null, value: { mode: "quote", tags: ["a", "b"] } }, { value: 0 }], columns);
+  assert.equal(csv, 'Name,value\r\n,"{""mode"":""quote"",""tags"":[""a"",""b""]}"\r\n,0\r\n');
+});
+
+test("headers are escaped like values", () => {
+  assert.equal(toCsv([], [{ key: "a", header: "Speed, wpm" }]), '"Speed, wpm"\r\n');
+});
@@ -0,0 +1,108 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import memoryRateLimiter from "../utils/memoryRateLimiter.js";
+
+// Nothing listens on port 1, so every Redis check times out and falls back to memory
+process.env.LOCAL_REDIS_HOST = process.env.CLOUD_REDIS_HOST = "127.0.0.1";
+process.env.LOCAL_REDIS_PORT = process.env.CLOUD_REDIS_PORT = "1";
+process.env.RATE_LIMIT_REDIS_TIMEOUT_MS = "50";
+
+const WINDOW_MS = 60 * 1000;
+
+let clock = 0;
+const useClock = (t, start = 1_000_000) => {
+  clock = start;
+  t.mock.method(Date, "now", () => clock);
+};
+
+const consume = (key, algorithm, limit = 3) =>
+  memoryRateLimiter.consume([{ key, limit, windowMs: WINDOW_MS }], algorithm);
+
+test("sliding window accepts the limit and rejects the next request until the oldest leaves", (t) => {
+  useClock(t);
+  const start = clock;
+  for (let i = 0; i < 3; i++) {
+    const { allowed, results } = consume("sw:basic", "sliding-window");
+    assert.equal(allowed, true);
+    assert.equal(results[0].remaining, 2 - i);
+    clock += 1000;
+  }
+
+  const rejected = consume("sw:basic", "sliding-window");
+  assert.equal(rejected.allowed, false);
+  assert.equal(rejected.results[0].remaining, 0);
+  assert.equal(rejected.results[0].retryAfterMs, start + WINDOW_MS - clock);
+
+  // One millisecond before the first request leaves the window, then at its edge
+  clock = start + WINDOW_MS - 1;
+  assert.equal(consume("sw:basic", "sliding-window").allowed, false);
+  clock = start + WINDOW_MS;
+  assert.equal(consume("sw:basic", "sliding-window").allowed, true);
+});
+
+test("sliding window allows no burst across the window edge", (t) => {
+  useClock(t);
+  clock += WINDOW_MS - 1;
+  for (let i = 0; i < 3; i++) assert.equal(consume("sw:edge", "sliding-window").allowed, true);
+  clock += 1;
+  assert.equal(consume("sw:edge", "sliding-window").allowed, false);
+});
+
+test("a request rejected by one key is not counted on the others", (t) => {
+  useClock(t);
+  const checks = [
+    { key: "multi:tight", limit: 1, windowMs: WINDOW_MS },
+    { key: "multi:loose", limit: 5, windowMs: WINDOW_MS },
+  ];
+  assert.equal(memoryRateLimiter.consume(checks, "sliding-window").allowed, true);
+
+  const { allowed, results } = memoryRateLimiter.consume(checks, "sliding-window");
+  assert.equal(allowed, false);
+  assert.equal(results[0].retryAfterMs > 0, true);
+  assert.equal(results[1].remaining, 4);
+  assert.equal(results[1].retryAfterMs, 0);
+});
+
+test("token bucket allows a burst up to the limit, then refills at limit per window", (t) => {
+  useClock(t);
+  for (let i = 0; i < 3; i++) assert.equal(consume("tb:basic", "token-bucket").allowed, true);
+
+  const rejected = consume("tb:basic", "token-bucket");
+  assert.equal(rejected.allowed, false);
+  assert.equal(rejected.results[0].retryAfterMs, WINDOW_MS / 3);
+  assert.equal(rejected.results[0].resetMs, WINDOW_MS);
+
+  clock += WINDOW_MS / 3 - 1;
+  assert.equal(consume("tb:basic", "token-bucket").allowed, false);
+  clock += 1;
+  const refilled = consume("tb:basic", "token-bucket");
+  assert.equal(refilled.allowed, true);
+  assert.equal(refilled.results[0].remaining, 0);
+});
+
+test("token bucket never holds more than the limit", (t) => {
+  useClock(t);
+  consume("tb:cap", "token-bucket");
+  clock += 10 * WINDOW_MS;
+  const { results } = consume("tb:cap", "token-bucket");
+  assert.equal(results[0].remaining, 2);
+});
+
+test("limits are enforced in memory while Redis is unreachable", async (t) => {
+  const { consumeRateLimits } = await import("../redis/rateLimiter.js");
+  const { connectRedis } = await import("../init/redis.js");
+  after(async () => (await connectRedis()).disconnect());
+  t.mock.method(console, "error", () => {});
+
+  const checks = [{ key: "fallback:ip:203.0.113.7", limit: 2, windowSeconds: 60 }];
+  const first = await consumeRateLimits(checks, "sliding-window");
+  assert.equal(first.allowed, true);
+  assert.equal(first.results[0].key, "fallback:ip:203.0.113.7");
+  assert.equal(first.results[0].remaining, 1);
+  assert.equal(first.results[0].resetSeconds, 60);
+
+  assert.equal((await consumeRateLimits(checks, "sliding-window")).allowed, true);
+  const rejected = await consumeRateLimits(checks, "sliding-window");
+  assert.equal(rejected.allowed, false);
+  assert.equal(rejected.results[0].retryAfterSeconds > 0, true);
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildCheck } from "../middleware/redisRateLimiter.js";
+import middleware from "../middleware/middleware.js";
+import analyticsRoutes from "../routes/analyticsRoutes.js";
+import leaderboardRoutes from "../routes/leaderboardRoutes.js";
+import testRoutes from "../routes/testRoutes.js";
+import userRoutes from "../routes/userRoutes.js";
+
+const defaults = { limit: 10, windowSeconds: 60 };
+const request = (userId) => ({ userId, headers: {}, socket: { remoteAddress: "203.0.113.7" } });
+
+test("user keys resolve to the signed-in user", () => {
+  assert.match(buildCheck("user-route", request("60d5ec49f1a2c80015f8b1a1"), "tests", defaults).key, /:tests:user:60d5ec49f1a2c80015f8b1a1$/);
+  assert.match(buildCheck("user", request("60d5ec49f1a2c80015f8b1a1"), "tests", defaults).key, /:all:user:60d5ec49f1a2c80015f8b1a1$/);
+  assert.match(buildCheck("ip", request("60d5ec49f1a2c80015f8b1a1"), "tests", defaults).key, /:tests:ip:203\.0\.113\.7$/);
+});
+
+test("user keys fall back to the IP for anonymous requests", () => {
+  assert.match(buildCheck("user-route", request(undefined), "tests", defaults).key, /:tests:ip:203\.0\.113\.7$/);
+  assert.match(buildCheck("user", request(undefined), "tests", defaults).key, /:all:ip:203\.0\.113\.7$/);
+});
+
+test("keys with their own limit keep the shared window", () => {
+  const check = buildCheck({ by: "ip", defaultLimit: 120 }, request(undefined), "profile", defaults);
+  assert.equal(check.limit, 120);
+  assert.equal(check.windowSeconds, 60);
+  assert.throws(() => buildCheck("session", request(undefined), "tests", defaults), /Unknown rate limit key type/);
+});
+
+test("authenticated routes run the JWT middleware before anything else", () => {
+  for (const router of [analyticsRoutes, leaderboardRoutes, testRoutes, userRoutes]) {
+    const routes = router.stack.filter((layer) => layer.route);
+    const authenticated = routes.filter((layer) => layer.route.stack.some((step) => step.handle === middleware));
+    assert.ok(authenticated.length > 0);
+    // A router-level limiter would run before the route's middleware
+    assert.equal(router.stack.filter((layer) => !layer.route).length, 0);
+    for (const layer of authenticated) {
+      assert.equal(layer.route.stack[0].handle, middleware, layer.route.path);
+    }
+  }
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateTotpSecret, generateHotp, verifyTotp, buildOtpauthUri, getTimeStep } from "../utils/totp.js";
+
+// "12345678901234567890", the SHA-1 seed of RFC 4226 and RFC 6238, in base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+// RFC 4226 appendix D
+const hotpVectors = ["755224", "287082", "359152", "969429", "338314", "254676", "287922", "162583", "399871", "520489"];
+
+// RFC 6238 appendix B (SHA-1), last 6 of the 8 published digits
+const totpVectors = [
+  [59, "287082"],
+  [1111111109, "081804"],
+  [1111111111, "050471"],
+  [1234567890, "005924"],
+  [2000000000, "279037"],
+  [20000000000, "353130"],
+];
+
+test("HOTP matches the RFC 4226 test vectors", () => {
+  hotpVectors.forEach((code, counter) => {
+    assert.equal(generateHotp(RFC_SECRET, counter), code, `counter ${counter}`);
+  });
+});
+
+test("TOTP matches the RFC 6238 test vectors", () => {
+  for (const [seconds, code] of totpVectors) {
+    const timestamp = seconds * 1000;
+    assert.equal(generateHotp(RFC_SECRET, getTimeStep(timestamp)), code, `T = ${seconds}`);
+    assert.equal(verifyTotp(RFC_SECRET, code, { timestamp, window: 0 }), getTimeStep(timestamp));
+  }
+});
+
+test("codes one step either side are accepted for clock drift, two steps are not", () => {
+  const timestamp = 1111111111 * 1000;
+  const step = getTimeStep(timestamp);
+  const previous = generateHotp(RFC_SECRET, step - 1);
+  const next = generateHotp(RFC_SECRET, step + 1);
+
+  assert.equal(verifyTotp(RFC_SECRET, previous, { timestamp }), step - 1);
+  assert.equal(verifyTotp(RFC_SECRET, next, { timestamp }), step + 1);
+  assert.equal(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, step - 2), { timestamp }), null);
+  assert.equal(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, step + 2), { timestamp }), null);
+  assert.equal(verifyTotp(RFC_SECRET, next, { timestamp, window: 0 }), null);
+});
+
+test("malformed codes are rejected", () => {
+  const timestamp = 59 * 1000;
+  for (const code of ["28708", "2870820", "28708a", "", null, 287082]) {
+    assert.equal(verifyTotp(RFC_SECRET, code, { timestamp }), null, String(code));
+  }
+  assert.equal(verifyTotp("", "287082", { timestamp }), null);
+});
+
+test("generated secrets are 160-bit base32 and round-trip through the otpauth URI", () => {
+  const secret = generateTotpSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+
+  const uri = new URL(buildOtpauthUri(secret, "user@example.com", "Typo"));
+  assert.equal(uri.protocol, "otpauth:");
+  assert.equal(uri.host, "totp");
+  assert.equal(decodeURIComponent(uri.pathname), "/Typo:user@example.com");
+  assert.equal(uri.searchParams.get("secret"), secret);
+  assert.equal(uri.searchParams.get("digits"), "6");
+  assert.equal(uri.searchParams.get("period"), "30");
+});
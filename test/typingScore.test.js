@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeTypingScore } from "../utils/typingScore.js";
+
+const expected = "the quick brown fox";
+// One keystroke per character over 10 seconds
+const keystrokesFor = (typed) =>
+  Array.from({ length: Math.max(typed.length, 2) }, (_, i) => i * (10000 / (Math.max(typed.length, 2) - 1)));
+
+test("a perfect run scores every character", () => {
+  const score = computeTypingScore(expected, expected, keystrokesFor(expected));
+  assert.equal(score.correctChars, expected.length);
+  assert.equal(score.errors, 0);
+  assert.equal(score.accuracy, 100);
+  assert.equal(score.wpm, score.rawWpm);
+  assert.equal(score.maxStreak, 4);
+});
+
+test("spaces only score nothing", () => {
+  const typed = " ".repeat(expected.length);
+  const score = computeTypingScore(expected, typed, keystrokesFor(typed));
+  assert.equal(score.correctChars, 0);
+  assert.equal(score.accuracy, 0);
+  assert.equal(score.wpm, 0);
+  assert.equal(score.maxStreak, 0);
+});
+
+test("empty input scores nothing", () => {
+  const score = computeTypingScore(expected, "", [0, 10000]);
+  assert.equal(score.typedChars, 0);
+  assert.equal(score.correctChars, 0);
+  assert.equal(score.accuracy, 0);
+  assert.equal(score.wpm, 0);
+});
+
+test("a wrong word costs its characters and the space after it", () => {
+  const typed = "the quack brown fox";
+  const score = computeTypingScore(expected, typed, keystrokesFor(typed));
+  // "quack" matches 4 of 5 characters; its space is not counted
+  assert.equal(score.correctChars, expected.length - 2);
+  assert.equal(score.errors, 2);
+  assert.ok(score.accuracy < 100);
+  assert.equal(score.maxStreak, 2);
+});
+
+test("timing data that can't produce a score is rejected", () => {
+  assert.equal(computeTypingScore(expected, expected, [0]), null);
+  assert.equal(computeTypingScore(expected, expected, [5, 5]), null);
+  assert.equal(computeTypingScore(expected, null, [0, 1000]), null);
+});
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import usernameBlocklist from "../helper/usernameBlocklist.js";
+
+// Ordinary usernames that contain, or stretch into, a blocked term
+const mustPass = [
+  "badminton", "grapefruit", "scunthorpe", "shitake", "nigeria", "mood", "rot",
+  "nazir", "retardant", "therapist", "johndoe", "moderate", "bookkeeper", "cocktail",
+  "fukuoka", "fickle", "b00kworm"
+];
+
+// Blocked term, or a leetspeak, stretched, underscored or numbered variant of one
+const mustFail = [
+  "admin", "Admin", "4dm1n", "ad_min", "aaadmin", "admin1", "adminbob", "bobadmin",
+  "root", "rooot", "mod", "m0d", "typostaff_joe", "bullshit", "niiigger", "rape", "r4pe",
+  "f4ck", "fuck3r", "fuk", "fuk1", "bigfuk", "fuq", "fvck", "fckyou", "phuck", "bullsh1t", "bullsh4t"
+];
+
+test("ordinary usernames pass the built-in blocklist", () => {
+  for (const username of mustPass) {
+    assert.equal(usernameBlocklist.findBlockedTerm(username), null, username);
+  }
+});
+
+test("blocked terms and their variants are rejected", () => {
+  for (const username of mustFail) {
+    assert.notEqual(usernameBlocklist.findBlockedTerm(username), null, username);
+  }
+});
+
+test("admin rules block by match type and allow exact usernames", () => {
+  const rules = [
+    { term: "spam", match: "prefix", action: "block" },
+    { term: "bot", match: "suffix", action: "block" },
+    { term: "admin", match: "exact", action: "allow" },
+  ];
+  assert.equal(usernameBlocklist.findBlockedTerm("spamking", rules), "spam");
+  assert.equal(usernameBlocklist.findBlockedTerm("kingspam", rules), null);
+  assert.equal(usernameBlocklist.findBlockedTerm("chatbot", rules), "bot");
+  assert.equal(usernameBlocklist.findBlockedTerm("admin", rules), null);
+});
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import zlib from "zlib";
+import { createZip, crc32 } from "../utils/zipArchive.js";
+
+// Reads the archive back through its end-of-central-directory record, as unzip tools do
+const readZip = (archive) => {
+  const end = archive.length - 22;
+  assert.equal(archive.readUInt32LE(end), 0x06054b50);
+  const count = archive.readUInt16LE(end + 10);
+  const centralSize = archive.readUInt32LE(end + 12);
+  const centralOffset = archive.readUInt32LE(end + 16);
+  assert.equal(centralOffset + centralSize, end);
+
+  const entries = [];
+  let position = centralOffset;
+  for (let i = 0; i < count; i++) {
+    assert.equal(archive.readUInt32LE(position), 0x02014b50);
+    const crc = archive.readUInt32LE(position + 16);
+    const compressedSize = archive.readUInt32LE(position + 20);
+    const size = archive.readUInt32LE(position + 24);
+    const nameLength = archive.readUInt16LE(position + 28);
+    const localOffset = archive.readUInt32LE(position + 42);
+    const name = archive.subarray(position + 46, position + 46 + nameLength).toString("utf8");
+
+    assert.equal(archive.readUInt32LE(localOffset), 0x04034b50, `local header of ${name}`);
+    assert.equal(archive.readUInt32LE(localOffset + 14), crc);
+    assert.equal(archive.readUInt32LE(localOffset + 18), compressedSize);
+    assert.equal(archive.readUInt32LE(localOffset + 22), size);
+    const localNameLength = archive.readUInt16LE(localOffset + 26);
+    assert.equal(archive.subarray(localOffset + 30, localOffset + 30 + localNameLength).toString("utf8"), name);
+
+    const dataStart = localOffset + 30 + localNameLength;
+    const content = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+    entries.push({ name, crc, size, content });
+    position += 46 + nameLength;
+  }
+  return entries;
+};
+
+test("crc32 matches the standard check values", () => {
+  assert.equal(crc32(Buffer.from("")), 0);
+  assert.equal(crc32(Buffer.from("123456789")), 0xcbf43926);
+  assert.equal(crc32(Buffer.from("The quick brown fox jumps over the lazy dog")), 0x414fa339);
+});
+
+test("the central directory points at every local header", () => {
+  const files = [
+    { name: "profile.json", content: JSON.stringify({ username: "johndoe" }) },
+    { name: "tests.csv", content: "wpm,accuracy\r\n".repeat(200) },
+    { name: "notes/ünïcode.txt", content: Buffer.from("binary \u0000 data") },
+  ];
+  const entries = readZip(createZip(files, new Date(2025, 0, 31, 20, 45, 12)));
+
+  assert.deepEqual(entries.map((entry) => entry.name), files.map((file) => file.name));
+  entries.forEach((entry, i) => {
+    const expected = Buffer.isBuffer(files[i].content) ? files[i].content : Buffer.from(files[i].content);
+    assert.deepEqual(entry.content, expected);
+    assert.equal(entry.size, expected.length);
+    assert.equal(entry.crc, crc32(expected));
+  });
+});
+
+test("an empty archive is just the end record", () => {
+  const archive = createZip([]);
+  assert.equal(archive.length, 22);
+  assert.deepEqual(readZip(archive), []);
+});
@@ -0,0 +1,27 @@
+import { z } from "zod";
+import paragraphCatalog from "../helper/paragraphCatalog.js";
+
+const historyQuerySchema = z
+  .object({
+    page: z.coerce.number().int().min(1, "Page must be at least 1").default(1),
+    limit: z.coerce.number().int().min(1).max(100, "Limit must be at most 100").default(20),
+    mode: z.enum(paragraphCatalog.TEST_MODES).optional(),
+    from: z.coerce.date({ error: "Invalid from date" }).optional(),
+    to: z.coerce.date({ error: "Invalid to date" }).optional(),
+  })
+  .refine((value) => !value.from || !value.to || value.from <= value.to, "from must be before to");
+
+const formatZodError = (error) =>
+  error.issues.map((issue) => issue.message).join(", ");
+
+const validateHistoryQuery = (payload) => {
+  const result = historyQuerySchema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+export {
+  validateHistoryQuery
+};
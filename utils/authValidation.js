@@ -33,6 +33,7 @@ const loginSchema = z.object({
   identifier: identifierSchema,
   password: z.string().min(1, "Password is required"),
   rememberMe: z.boolean().optional(),
+  restoreAccount: z.boolean().optional(),
 });
 
 const registerSchema = z.object({
@@ -106,11 +107,156 @@ const validateResetPasswordInput = (payload) => {
   return { success: true, data: result.data };
 };
 
+const validateChangePasswordInput = (payload) => {
+  const schema = z.object({
+    currentPassword: z.string().min(1, "Current password is required"),
+    password: passwordSchema,
+    confirmPassword: z.string().min(1, "Confirm password is required"),
+  });
+  const result = schema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+const validateRefreshTokenInput = (payload) => {
+  const schema = z.object({
+    refreshToken: z.string().min(1, "Refresh token is required"),
+  });
+  const result = schema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+const validateVerifyEmailInput = (payload) => {
+  const schema = z.object({
+    email: emailSchema,
+    code: z.string().trim().regex(/^[0-9]{6}$/, "Verification code must be 6 digits"),
+  });
+  const result = schema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+const validateUpdateEmailInput = (payload) => {
+  const schema = z.object({
+    newEmail: emailSchema,
+    password: z.string().min(1, "Password is required"),
+  });
+  const result = schema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+const validateConfirmEmailChangeInput = (payload) => {
+  const schema = z.object({
+    otp: z.string().min(6, "OTP is required").max(6, "OTP is required"),
+  });
+  const result = schema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+// A 6-digit TOTP code or a recovery code such as "a1b2c-3d4e5"
+const twoFactorCodeSchema = z
+  .string()
+  .trim()
+  .min(6, "Code is required")
+  .max(20, "Invalid code");
+
+const validateTwoFactorLoginInput = (payload) => {
+  const schema = z.object({
+    challengeToken: z.string().min(1, "Challenge token is required"),
+    code: twoFactorCodeSchema,
+  });
+  const result = schema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+const validateTwoFactorEnrolInput = (payload) => {
+  const schema = z.object({
+    password: z.string().min(1, "Password is required"),
+  });
+  const result = schema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+const validateTwoFactorConfirmInput = (payload) => {
+  const schema = z.object({
+    code: z.string().trim().regex(/^[0-9]{6}$/, "Code must be 6 digits"),
+  });
+  const result = schema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+const validateTwoFactorDisableInput = (payload) => {
+  const schema = z.object({
+    password: z.string().min(1, "Password is required"),
+    code: twoFactorCodeSchema,
+  });
+  const result = schema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+const validateUnlockAccountInput = (payload) => {
+  const schema = z.object({
+    token: z.string().trim().regex(/^[a-f0-9]{64}$/, "Invalid unlock token"),
+  });
+  const result = schema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+const validateExportQuery = (payload) => {
+  const schema = z.object({
+    format: z.enum(["json", "zip"], { error: "Format must be json or zip" }).default("json"),
+  });
+  const result = schema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
 export { 
   validateLoginInput, 
   validateRegisterInput, 
   validateEmail,
   validateUsername, 
   validateDeleteAccountInput,
-  validateResetPasswordInput
+  validateResetPasswordInput,
+  validateChangePasswordInput,
+  validateRefreshTokenInput,
+  validateVerifyEmailInput,
+  validateUpdateEmailInput,
+  validateConfirmEmailChangeInput,
+  validateTwoFactorLoginInput,
+  validateTwoFactorEnrolInput,
+  validateTwoFactorConfirmInput,
+  validateTwoFactorDisableInput,
+  validateUnlockAccountInput,
+  validateExportQuery
 };
@@ -0,0 +1,14 @@
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ key, header? }]; nested objects are written as JSON
+const toCsv = (rows, columns) => {
+  const header = columns.map((column) => escapeCsvValue(column.header || column.key)).join(",");
+  const lines = rows.map((row) => columns.map((column) => escapeCsvValue(row[column.key])).join(","));
+  return [header, ...lines].join("\r\n") + "\r\n";
+};
+
+export { toCsv };
@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import geoip from 'geoip-lite';
 import { UAParser } from 'ua-parser-js';
 
@@ -42,6 +43,18 @@ export function getDeviceInfo(req) {
   };
 }
 
+// Stable id of a browser/OS/device combination; versions are left out so updates don't count as a new device
+export function getDeviceFingerprint(deviceInfo) {
+  const parts = [
+    deviceInfo.browser?.name,
+    deviceInfo.os?.name,
+    deviceInfo.device?.type,
+    deviceInfo.device?.vendor,
+    deviceInfo.device?.model
+  ].map((part) => String(part || 'Unknown').toLowerCase());
+  return crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+}
+
 function getIpAddress(req) {
   const rawIp =
     req.headers['cf-connecting-ip'] ||
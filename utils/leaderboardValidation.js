@@ -0,0 +1,40 @@
+import { z } from "zod";
+import leaderboard from "../helper/leaderboardHelper.js";
+
+const boardSchema = z.object({
+  period: z.enum(leaderboard.PERIODS).default("alltime"),
+  mode: z.enum(leaderboard.LEADERBOARD_MODES).default("all"),
+});
+
+const leaderboardQuerySchema = boardSchema.extend({
+  page: z.coerce.number().int().min(1, "Page must be at least 1").default(1),
+  limit: z.coerce.number().int().min(1).max(100, "Limit must be at most 100").default(20),
+});
+
+const rankQuerySchema = boardSchema.extend({
+  neighbours: z.coerce.number().int().min(0).max(10, "Neighbours must be at most 10").default(2),
+});
+
+const formatZodError = (error) =>
+  error.issues.map((issue) => issue.message).join(", ");
+
+const validateLeaderboardQuery = (payload) => {
+  const result = leaderboardQuerySchema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+const validateRankQuery = (payload) => {
+  const result = rankQuerySchema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+export {
+  validateLeaderboardQuery,
+  validateRankQuery
+};
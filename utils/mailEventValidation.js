@@ -0,0 +1,25 @@
+import { z } from "zod";
+import { MAIL_EVENT_STATUSES } from "../schemas/mailEvent.schema.js";
+
+const mailEventQuerySchema = z.object({
+  page: z.coerce.number().int().min(1, "Page must be at least 1").default(1),
+  limit: z.coerce.number().int().min(1).max(100, "Limit must be at most 100").default(20),
+  status: z.enum(MAIL_EVENT_STATUSES).optional(),
+  type: z.string().trim().min(1).max(50).optional(),
+  mailId: z.string().trim().toLowerCase().max(254).optional(),
+});
+
+const formatZodError = (error) =>
+  error.issues.map((issue) => issue.message).join(", ");
+
+const validateMailEventQuery = (payload) => {
+  const result = mailEventQuerySchema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+export {
+  validateMailEventQuery
+};
@@ -0,0 +1,86 @@
+// Per-process stand-in for the Redis rate limiter, used while Redis is unreachable.
+// Implements the same algorithms and result shape as redis/rateLimiter.js, but each
+// server instance counts on its own.
+
+const MAX_KEYS = 10000;
+
+// key -> { hits: [timestamps] } (sliding window) or { tokens, updatedAt } (token bucket), plus expiresAt
+const entries = new Map();
+
+// Drops expired entries once the map is full, then the oldest ones if it still is
+const prune = (now) => {
+  if (entries.size < MAX_KEYS) return;
+  for (const [key, entry] of entries) {
+    if (entry.expiresAt <= now) entries.delete(key);
+  }
+  for (const key of entries.keys()) {
+    if (entries.size < MAX_KEYS) break;
+    entries.delete(key);
+  }
+};
+
+const consumeSlidingWindow = (checks, now) => {
+  const states = checks.map(({ key, limit, windowMs }) => {
+    const entry = entries.get(key);
+    const hits = entry && entry.hits ? entry.hits.filter((hit) => hit > now - windowMs) : [];
+    const resetMs = hits.length ? hits[0] + windowMs - now : windowMs;
+    return { key, limit, windowMs, hits, resetMs };
+  });
+  const allowed = states.every(({ hits, limit }) => hits.length < limit);
+
+  return {
+    allowed,
+    results: states.map(({ key, limit, windowMs, hits, resetMs }) => {
+      if (allowed) {
+        hits.push(now);
+        if (hits.length === 1) resetMs = windowMs;
+      }
+      entries.set(key, { hits, expiresAt: now + windowMs });
+      return {
+        limit,
+        remaining: Math.max(limit - hits.length, 0),
+        resetMs,
+        retryAfterMs: hits.length >= limit && !allowed ? resetMs : 0,
+      };
+    }),
+  };
+};
+
+const consumeTokenBucket = (checks, now) => {
+  const states = checks.map(({ key, limit, windowMs }) => {
+    const entry = entries.get(key);
+    const rate = limit / windowMs;
+    const stored = entry && entry.tokens !== undefined ? entry : { tokens: limit, updatedAt: now };
+    const tokens = Math.min(limit, stored.tokens + Math.max(0, now - stored.updatedAt) * rate);
+    return { key, limit, rate, tokens };
+  });
+  const allowed = states.every(({ tokens }) => tokens >= 1);
+
+  return {
+    allowed,
+    results: states.map(({ key, limit, rate, tokens }) => {
+      if (allowed) tokens -= 1;
+      const resetMs = Math.ceil((limit - tokens) / rate);
+      entries.set(key, { tokens, updatedAt: now, expiresAt: now + Math.max(resetMs, 1) });
+      return {
+        limit,
+        remaining: Math.floor(tokens),
+        resetMs,
+        retryAfterMs: tokens < 1 ? Math.ceil((1 - tokens) / rate) : 0,
+      };
+    }),
+  };
+};
+
+// checks: [{ key, limit, windowMs }]; counted only if every check allows the request
+const consume = (checks, algorithm) => {
+  const now = Date.now();
+  prune(now);
+  return algorithm === "token-bucket" ? consumeTokenBucket(checks, now) : consumeSlidingWindow(checks, now);
+};
+
+const memoryRateLimiter = {
+  consume,
+};
+
+export default memoryRateLimiter;
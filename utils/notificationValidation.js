@@ -0,0 +1,39 @@
+import { z } from "zod";
+
+const notificationPreferencesSchema = z
+  .object({
+    login: z.boolean().optional(),
+    newDevice: z.boolean().optional(),
+    weeklyDigest: z.boolean().optional(),
+    marketing: z.boolean().optional(),
+  })
+  .strict()
+  .refine((value) => Object.keys(value).length > 0, "Nothing to update");
+
+const unsubscribeSchema = z.object({
+  token: z.string().trim().min(1, "Unsubscribe token is required"),
+});
+
+const formatZodError = (error) =>
+  error.issues.map((issue) => issue.message).join(", ");
+
+const validateNotificationPreferences = (payload) => {
+  const result = notificationPreferencesSchema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+const validateUnsubscribeInput = (payload) => {
+  const result = unsubscribeSchema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+export {
+  validateNotificationPreferences,
+  validateUnsubscribeInput
+};
@@ -0,0 +1,126 @@
+import { z } from "zod";
+import { PARAGRAPH_TYPES, PARAGRAPH_DIFFICULTIES, PARAGRAPH_LENGTHS } from "../schemas/paragraph.schema.js";
+
+const paragraphFilterSchema = z.object({
+  type: z.enum(PARAGRAPH_TYPES).optional(),
+  difficulty: z.enum(PARAGRAPH_DIFFICULTIES).optional(),
+  length: z.enum(PARAGRAPH_LENGTHS).optional(),
+});
+
+const paragraphListSchema = paragraphFilterSchema.extend({
+  page: z.coerce.number().int().min(1, "Page must be at least 1").default(1),
+  limit: z.coerce.number().int().min(1).max(50, "Limit must be at most 50").default(20),
+});
+
+const paragraphIdSchema = z
+  .string()
+  .trim()
+  .regex(/^[a-z]+[0-9]+$/, "Invalid paragraph id");
+
+const adminParagraphListSchema = paragraphListSchema.extend({
+  limit: z.coerce.number().int().min(1).max(100, "Limit must be at most 100").default(20),
+  language: z.string().trim().toLowerCase().regex(/^[a-z]{2}$/, "Language must be a two-letter code").optional(),
+  isActive: z.enum(["true", "false"]).transform((value) => value === "true").optional(),
+});
+
+const paragraphFields = {
+  content: z
+    .string()
+    .trim()
+    .min(10, "Content must be at least 10 characters")
+    .max(5000, "Content must be at most 5000 characters"),
+  type: z.enum(PARAGRAPH_TYPES),
+  difficulty: z.enum(PARAGRAPH_DIFFICULTIES),
+  length: z.enum(PARAGRAPH_LENGTHS),
+  language: z.string().trim().toLowerCase().regex(/^[a-z]{2}$/, "Language must be a two-letter code"),
+  source: z.string().trim().max(200, "Source must be at most 200 characters").nullable(),
+  author: z.string().trim().max(100, "Author must be at most 100 characters").nullable(),
+  isActive: z.boolean(),
+};
+
+const paragraphCreateSchema = z
+  .object({
+    ...paragraphFields,
+    difficulty: paragraphFields.difficulty.optional(),
+    length: paragraphFields.length.optional(),
+    language: paragraphFields.language.optional(),
+    source: paragraphFields.source.optional(),
+    author: paragraphFields.author.optional(),
+    isActive: paragraphFields.isActive.optional(),
+  })
+  .strict()
+  .refine(
+    (value) => value.type === "quote" || (value.difficulty && value.length),
+    "Paragraphs need a difficulty and a length"
+  )
+  .refine(
+    (value) => value.type === "paragraph" || (!value.difficulty && !value.length),
+    "Quotes have no difficulty or length"
+  );
+
+const paragraphUpdateSchema = z
+  .object(
+    Object.fromEntries(Object.entries(paragraphFields).map(([field, schema]) => [field, schema.optional()]))
+  )
+  .strict()
+  .refine((value) => Object.keys(value).length > 0, "Provide at least one field to update");
+
+const formatZodError = (error) =>
+  error.issues.map((issue) => issue.message).join(", ");
+
+const validateParagraphFilters = (payload) => {
+  const result = paragraphFilterSchema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+const validateParagraphListQuery = (payload) => {
+  const result = paragraphListSchema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+const validateParagraphId = (id) => {
+  const result = paragraphIdSchema.safeParse(id);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+const validateAdminParagraphListQuery = (payload) => {
+  const result = adminParagraphListSchema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+const validateParagraphCreateInput = (payload) => {
+  const result = paragraphCreateSchema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+const validateParagraphUpdateInput = (payload) => {
+  const result = paragraphUpdateSchema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+export {
+  validateParagraphFilters,
+  validateParagraphListQuery,
+  validateParagraphId,
+  validateAdminParagraphListQuery,
+  validateParagraphCreateInput,
+  validateParagraphUpdateInput
+};
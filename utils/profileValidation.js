@@ -0,0 +1,43 @@
+import { z } from "zod";
+
+const profileUpdateSchema = z
+  .object({
+    bio: z.string().trim().max(160, "Bio must be at most 160 characters").nullable().optional(),
+    country: z
+      .string()
+      .trim()
+      .toUpperCase()
+      .regex(/^[A-Z]{2}$/, "Country must be a two-letter ISO code")
+      .nullable()
+      .optional(),
+    avatarUrl: z
+      .url({ protocol: /^https$/, error: "Avatar URL must be a valid https URL" })
+      .max(500, "Avatar URL must be at most 500 characters")
+      .nullable()
+      .optional(),
+    privacy: z
+      .object({
+        hideRealName: z.boolean().optional(),
+        hideStats: z.boolean().optional(),
+        isPrivate: z.boolean().optional(),
+      })
+      .strict()
+      .optional(),
+  })
+  .strict()
+  .refine((value) => Object.keys(value).length > 0, "Nothing to update");
+
+const formatZodError = (error) =>
+  error.issues.map((issue) => issue.message).join(", ");
+
+const validateProfileUpdate = (payload) => {
+  const result = profileUpdateSchema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+export {
+  validateProfileUpdate
+};
@@ -0,0 +1,23 @@
+import { z } from "zod";
+import { SECURITY_EVENT_TYPES } from "../schemas/securityEvent.schema.js";
+
+const securityEventQuerySchema = z.object({
+  page: z.coerce.number().int().min(1, "Page must be at least 1").default(1),
+  limit: z.coerce.number().int().min(1).max(100, "Limit must be at most 100").default(20),
+  type: z.enum(SECURITY_EVENT_TYPES).optional(),
+});
+
+const formatZodError = (error) =>
+  error.issues.map((issue) => issue.message).join(", ");
+
+const validateSecurityEventQuery = (payload) => {
+  const result = securityEventQuerySchema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+export {
+  validateSecurityEventQuery
+};
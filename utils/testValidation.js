@@ -0,0 +1,53 @@
+import { z } from "zod";
+import { env } from "../init/env.js";
+
+const MAX_TYPED_LENGTH = 5000;
+
+const startTestSchema = z.object({
+  paragraphId: z.string().trim().min(1).max(20).optional(),
+  type: z.enum(["quote", "paragraph"]).optional(),
+  difficulty: z.enum(["easy", "hard"]).optional(),
+  length: z.enum(["short", "long"]).optional(),
+  duration: z
+    .number()
+    .int()
+    .refine((value) => env.test.durations.includes(value), `Duration must be one of ${env.test.durations.join(", ")}`)
+    .optional(),
+});
+
+const submitTestSchema = z.object({
+  sessionToken: z.string().min(1, "Session token is required"),
+  typedText: z.string().min(1, "Typed text is required").max(MAX_TYPED_LENGTH),
+  keystrokes: z
+    .array(z.number().nonnegative())
+    .min(2, "At least two keystrokes are required")
+    .max(MAX_TYPED_LENGTH * 2)
+    .refine(
+      (values) => values.every((value, i) => i === 0 || value >= values[i - 1]),
+      "Keystroke timestamps must be in ascending order"
+    ),
+});
+
+const formatZodError = (error) =>
+  error.issues.map((issue) => issue.message).join(", ");
+
+const validateStartTestInput = (payload) => {
+  const result = startTestSchema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+const validateSubmitTestInput = (payload) => {
+  const result = submitTestSchema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+export {
+  validateStartTestInput,
+  validateSubmitTestInput
+};
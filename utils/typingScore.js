@@ -0,0 +1,95 @@
+const CHARS_PER_WORD = 5;
+
+const floor2 = (num) => Math.floor(num * 100) / 100;
+
+// Longest run of consecutive words typed exactly as expected.
+// A trailing, still-incomplete word does not break the streak.
+const getMaxWordStreak = (expected, typed) => {
+  const expectedWords = expected.split(" ");
+  const typedWords = typed.split(" ");
+  const lastIndex = typedWords.length - 1;
+
+  let streak = 0;
+  let maxStreak = 0;
+  for (let i = 0; i < typedWords.length; i++) {
+    const word = typedWords[i];
+    const target = expectedWords[i];
+
+    if (i === lastIndex && !typed.endsWith(" ") && target && target !== word && target.startsWith(word)) {
+      break;
+    }
+
+    if (word === target) {
+      streak += 1;
+      maxStreak = Math.max(maxStreak, streak);
+    } else {
+      streak = 0;
+    }
+  }
+  return maxStreak;
+};
+
+// Compares word by word so a skipped or extra character only costs the word it
+// happens in instead of shifting every following character out of alignment
+const countCorrectChars = (expected, typed) => {
+  const expectedWords = expected.split(" ");
+  const typedWords = typed.split(" ");
+
+  let correct = 0;
+  for (let i = 0; i < typedWords.length; i++) {
+    const word = typedWords[i];
+    const target = expectedWords[i] || "";
+    for (let j = 0; j < word.length; j++) {
+      if (word[j] === target[j]) correct += 1;
+    }
+    // The space typed after this word is correct if the word was and the paragraph continues
+    if (i < typedWords.length - 1 && i < expectedWords.length - 1 && word && word === target) correct += 1;
+  }
+  return correct;
+};
+
+// 100 for perfectly even keystroke intervals, falling towards 0 as their
+// coefficient of variation approaches 1
+const getConsistency = (keystrokes) => {
+  const intervals = [];
+  for (let i = 1; i < keystrokes.length; i++) {
+    intervals.push(keystrokes[i] - keystrokes[i - 1]);
+  }
+  const mean = intervals.reduce((sum, value) => sum + value, 0) / intervals.length;
+  if (mean <= 0) return 0;
+  const variance = intervals.reduce((sum, value) => sum + (value - mean) ** 2, 0) / intervals.length;
+  const coefficient = Math.sqrt(variance) / mean;
+  return floor2(Math.max(0, 1 - coefficient) * 100);
+};
+
+/**
+ * Scores typed text against the expected paragraph.
+ * `keystrokes` are client timestamps in milliseconds, one per keystroke.
+ * Returns null when the timing data cannot produce a score.
+ */
+const computeTypingScore = (expected, typed, keystrokes) => {
+  if (typeof expected !== "string" || typeof typed !== "string") return null;
+  if (!Array.isArray(keystrokes) || keystrokes.length < 2) return null;
+
+  const elapsedMs = keystrokes[keystrokes.length - 1] - keystrokes[0];
+  if (elapsedMs <= 0) return null;
+  const minutes = elapsedMs / 60000;
+
+  const typedChars = typed.length;
+  const correctChars = countCorrectChars(expected, typed);
+  const errors = typedChars - correctChars;
+
+  return {
+    wpm: floor2(correctChars / CHARS_PER_WORD / minutes),
+    rawWpm: floor2(typedChars / CHARS_PER_WORD / minutes),
+    accuracy: typedChars > 0 ? floor2((correctChars / typedChars) * 100) : 0,
+    maxStreak: getMaxWordStreak(expected, typed),
+    consistency: getConsistency(keystrokes),
+    correctChars,
+    typedChars,
+    errors,
+    elapsedSeconds: floor2(elapsedMs / 1000),
+  };
+};
+
+export { computeTypingScore, getMaxWordStreak, getConsistency };
@@ -0,0 +1,32 @@
+import { z } from "zod";
+
+const usernameRuleSchema = z.object({
+  term: z
+    .string()
+    .trim()
+    .toLowerCase()
+    .min(2, "Term must be at least 2 characters")
+    .max(30, "Term must be at most 30 characters")
+    .regex(/^[a-z0-9_]+$/, "Term may only contain letters, digits and underscores"),
+  match: z.enum(["exact", "prefix", "suffix", "substring"]).optional(),
+  action: z.enum(["block", "allow"]).optional(),
+  reason: z.string().trim().max(200, "Reason must be at most 200 characters").optional(),
+}).refine(
+  (value) => value.action !== "allow" || !value.match || value.match === "exact",
+  "Allow rules can only match exact usernames"
+);
+
+const formatZodError = (error) =>
+  error.issues.map((issue) => issue.message).join(", ");
+
+const validateUsernameRuleInput = (payload) => {
+  const result = usernameRuleSchema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, message: formatZodError(result.error) };
+  }
+  return { success: true, data: result.data };
+};
+
+export {
+  validateUsernameRuleInput
+};